@@ -0,0 +1,304 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Token = require("../src/auth/Token");
+const Hoax = require("../src/hoax/Hoax");
+const Draft = require("../src/draft/Draft");
+const UserService = require("../src/user/UserService");
+const HoaxService = require("../src/hoax/HoaxService");
+const DraftService = require("../src/draft/DraftService");
+const FileService = require("../src/file/FileService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const fs = require("fs");
+const path = require("path");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+const { uploadDir, profileDir, accountDeletionGracePeriod } = config;
+const profileFolder = path.join(".", uploadDir, profileDir);
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, fields = {}) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...fields,
+  });
+};
+
+const deleteAccount = async (user) => {
+  const response = await request(app).post("/api/1.0/auth").send(credentials);
+  return request(app)
+    .delete(`/api/1.0/users/${user.id}`)
+    .set("Authorization", `Bearer ${response.body.token}`)
+    .send();
+};
+
+const postAuthentication = (body = credentials, options = {}) => {
+  const agent = request(app).post("/api/1.0/auth");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(body);
+};
+
+const postRestore = (body = credentials, options = {}) => {
+  const agent = request(app).post("/api/1.0/auth/restore");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(body);
+};
+
+const addProfileImage = () => {
+  const image = "test-file-account-deletion" + Date.now();
+  const filePath = path.join(".", "__tests__", "resources", "test-png.png");
+  fs.copyFileSync(filePath, path.join(profileFolder, image));
+  return image;
+};
+
+const pastGracePeriod = () => Date.now() - accountDeletionGracePeriod - 1000;
+
+describe("Account Deactivation", () => {
+  it("keeps the user in database after delete request", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    const count = await User.count();
+    expect(count).toBe(1);
+  });
+
+  it("hides the user from user page after delete request", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.status).toBe(404);
+  });
+
+  it("hides the user from user listing after delete request", async () => {
+    const user = await addUser();
+    await addUser(2);
+    await deleteAccount(user);
+    const response = await request(app).get("/api/1.0/users");
+    expect(response.body.content.map((u) => u.username)).toEqual(["user2"]);
+  });
+
+  it("clears all tokens of the user after delete request", async () => {
+    const user = await addUser();
+    await postAuthentication();
+    await deleteAccount(user);
+    const count = await Token.count({ where: { userId: user.id } });
+    expect(count).toBe(0);
+  });
+
+  it("keeps the profile image during the grace period", async () => {
+    const image = addProfileImage();
+    const user = await addUser(1, { image });
+    await deleteAccount(user);
+    expect(fs.existsSync(path.join(profileFolder, image))).toBe(true);
+  });
+
+  it("hides hoaxes of the user from feeds during the grace period", async () => {
+    const user = await addUser();
+    await HoaxService.save({ content: "Hoax during #grace period" }, user);
+    await deleteAccount(user);
+    const feed = await request(app).get("/api/1.0/hoaxes");
+    expect(feed.body.content).toEqual([]);
+    const tagFeed = await request(app).get("/api/1.0/tags/grace/hoaxes");
+    expect(tagFeed.body.content).toEqual([]);
+  });
+
+  it("hides replies of the user during the grace period", async () => {
+    const user = await addUser();
+    const other = await addUser(2);
+    const hoax = await HoaxService.save({ content: "Hoax of other" }, other);
+    await HoaxService.save({ content: "Reply of user" }, user, hoax.id);
+    await deleteAccount(user);
+    const response = await request(app).get(
+      `/api/1.0/hoaxes/${hoax.id}/replies`,
+    );
+    expect(response.body.content).toEqual([]);
+  });
+
+  it("holds back scheduled drafts during the grace period", async () => {
+    const user = await addUser();
+    await Draft.create({
+      content: "Scheduled content",
+      timestamp: Date.now(),
+      scheduledAt: Date.now() - 1000,
+      userId: user.id,
+    });
+    await deleteAccount(user);
+    await DraftService.publishScheduledDrafts();
+    expect(await Hoax.count()).toBe(0);
+    expect(await Draft.count()).toBe(1);
+  });
+
+  it("returns 403 when a deleted user logs in during the grace period", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    const response = await postAuthentication();
+    expect(response.status).toBe(403);
+    expect(response.body.token).toBeUndefined();
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.account_pending_deletion}
+    ${"en"}  | ${en.account_pending_deletion}
+  `(
+    "returns $message when a deleted user logs in and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      await deleteAccount(user);
+      const response = await postAuthentication(credentials, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe("Account Restore", () => {
+  it("returns 200 ok and a token when a deleted user restores the account", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    const response = await postRestore();
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(user.id);
+    expect(response.body.token).toBeTruthy();
+  });
+
+  it("makes the user visible again after restore", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    await postRestore();
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.status).toBe(200);
+  });
+
+  it("shows hoaxes of the user again after restore", async () => {
+    const user = await addUser();
+    await HoaxService.save({ content: "Hoax before deletion" }, user);
+    await deleteAccount(user);
+    await postRestore();
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content.map((hoax) => hoax.content)).toEqual([
+      "Hoax before deletion",
+    ]);
+  });
+
+  it("lets the user log in again after restore", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    await postRestore();
+    const response = await postAuthentication();
+    expect(response.status).toBe(200);
+  });
+
+  it("returns 401 when restore is sent with wrong password", async () => {
+    const user = await addUser();
+    await deleteAccount(user);
+    const response = await postRestore({
+      email: "user1@mail.com",
+      password: "Wr0ngPassword",
+    });
+    expect(response.status).toBe(401);
+    await user.reload();
+    expect(user.deactivatedAt).toBeTruthy();
+  });
+
+  it("returns 403 when restore is sent for an account which is not deleted", async () => {
+    await addUser();
+    const response = await postRestore();
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 403 when restore is sent after the grace period", async () => {
+    await addUser(1, { inactive: true, deactivatedAt: pastGracePeriod() });
+    const response = await postRestore();
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.account_restore_unavailable}
+    ${"en"}  | ${en.account_restore_unavailable}
+  `(
+    "returns $message when restore is unavailable and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postRestore(credentials, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe("Account Purge", () => {
+  it("removes users whose grace period is over", async () => {
+    await addUser(1, { inactive: true, deactivatedAt: pastGracePeriod() });
+    await UserService.purgeDeactivatedUsers();
+    const count = await User.count();
+    expect(count).toBe(0);
+  });
+
+  it("keeps users who are still in the grace period", async () => {
+    await addUser(1, { inactive: true, deactivatedAt: Date.now() });
+    await addUser(2);
+    await UserService.purgeDeactivatedUsers();
+    const count = await User.count();
+    expect(count).toBe(2);
+  });
+
+  it("removes the profile image at purge", async () => {
+    const image = addProfileImage();
+    await addUser(1, {
+      image,
+      inactive: true,
+      deactivatedAt: pastGracePeriod(),
+    });
+    await UserService.purgeDeactivatedUsers();
+    expect(fs.existsSync(path.join(profileFolder, image))).toBe(false);
+  });
+
+  it("removes hoaxes of the purged user", async () => {
+    const user = await addUser(1, {
+      inactive: true,
+      deactivatedAt: pastGracePeriod(),
+    });
+    await Hoax.create({
+      content: "Hoax content",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    await UserService.purgeDeactivatedUsers();
+    const count = await Hoax.count();
+    expect(count).toBe(0);
+  });
+
+  it("purges the remaining users when removing one of them fails", async () => {
+    await addUser(1, { inactive: true, deactivatedAt: pastGracePeriod() });
+    await addUser(2, { inactive: true, deactivatedAt: pastGracePeriod() });
+    jest
+      .spyOn(FileService, "deleteUserFiles")
+      .mockRejectedValueOnce(new Error("unlink failed"));
+    await UserService.purgeDeactivatedUsers();
+    const users = await User.findAll();
+    expect(users.map((user) => user.username)).toEqual(["user1"]);
+  });
+});
@@ -0,0 +1,404 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Mention = require("../src/hoax/Mention");
+const Follow = require("../src/follow/Follow");
+const Block = require("../src/block/Block");
+const Mute = require("../src/block/Mute");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId, content = `Hoax of ${userId}`) => {
+  return await Hoax.create({ content, timestamp: Date.now(), userId });
+};
+
+const authenticate = async (index = 1) => {
+  const response = await request(app)
+    .post("/api/1.0/auth")
+    .send({ email: `user${index}@mail.com`, password: "P@ssw0rd" });
+  return response.body.token;
+};
+
+const send = (method, url, options = {}) => {
+  const agent = request(app)[method](url);
+  if (options.token) {
+    agent.set("Authorization", `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(options.body);
+};
+
+const blockUser = async (id, options = {}) => {
+  return send("post", `/api/1.0/users/${id}/block`, options);
+};
+
+const muteUser = async (id, options = {}) => {
+  return send("post", `/api/1.0/users/${id}/mute`, options);
+};
+
+// user1 blocks user2, a third user sees both
+const addBlockedPair = async () => {
+  const blocker = await addUser(1);
+  const blocked = await addUser(2);
+  await Block.create({ blockerId: blocker.id, blockedId: blocked.id });
+  return { blocker, blocked };
+};
+
+describe("Block", () => {
+  it("returns 401 when block request is sent without authentication", async () => {
+    const user = await addUser();
+    const response = await blockUser(user.id);
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_block}
+    ${"en"}  | ${en.unauthroized_block}
+  `(
+    "returns $message for unauthenticated block when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await blockUser(user.id, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 200 and saves the block", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    const token = await authenticate(1);
+    const response = await blockUser(other.id, { token });
+    expect(response.status).toBe(200);
+    const count = await Block.count();
+    expect(count).toBe(1);
+  });
+
+  it("saves a block only once when it is sent twice", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    const token = await authenticate(1);
+    await blockUser(other.id, { token });
+    await blockUser(other.id, { token });
+    const count = await Block.count();
+    expect(count).toBe(1);
+  });
+
+  it("returns 404 when blocked user does not exist", async () => {
+    await addUser(1);
+    const token = await authenticate(1);
+    const response = await blockUser(5, { token });
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.block_self}
+    ${"en"}  | ${en.block_self}
+  `(
+    "returns $message when user blocks themself and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser(1);
+      const token = await authenticate(1);
+      const response = await blockUser(user.id, { token, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it("removes follows in both directions", async () => {
+    const user = await addUser(1);
+    const other = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: other.id });
+    await Follow.create({ followerId: other.id, followingId: user.id });
+    const token = await authenticate(1);
+    await blockUser(other.id, { token });
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes the block on unblock", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    const token = await authenticate(1);
+    await blockUser(other.id, { token });
+    const response = await send("delete", `/api/1.0/users/${other.id}/block`, {
+      token,
+    });
+    expect(response.status).toBe(200);
+    const count = await Block.count();
+    expect(count).toBe(0);
+  });
+
+  it("lists blocked users of the authenticated user", async () => {
+    const { blocked } = await addBlockedPair();
+    const token = await authenticate(1);
+    const response = await send("get", "/api/1.0/blocks", { token });
+    expect(response.status).toBe(200);
+    expect(response.body.content.map((user) => user.id)).toEqual([blocked.id]);
+    expect(Object.keys(response.body.content[0])).toEqual([
+      "id",
+      "username",
+      "image",
+    ]);
+  });
+
+  it("returns 401 when block list is requested without authentication", async () => {
+    const response = await send("get", "/api/1.0/blocks");
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("Block Enforcement", () => {
+  it("hides users from each other in user listing", async () => {
+    await addBlockedPair();
+    await addUser(3);
+    for (const [index, visible] of [
+      [1, ["user3"]],
+      [2, ["user3"]],
+    ]) {
+      const token = await authenticate(index);
+      const response = await send("get", "/api/1.0/users", { token });
+      expect(response.body.content.map((user) => user.username)).toEqual(
+        visible,
+      );
+    }
+  });
+
+  it("keeps both users in user listing of others", async () => {
+    await addBlockedPair();
+    await addUser(3);
+    const token = await authenticate(3);
+    const response = await send("get", "/api/1.0/users", { token });
+    expect(response.body.content.length).toBe(2);
+  });
+
+  it("hides hoaxes of each user from the other in feed", async () => {
+    const { blocker, blocked } = await addBlockedPair();
+    await addHoax(blocker.id);
+    await addHoax(blocked.id);
+    const blockerFeed = await send("get", "/api/1.0/hoaxes", {
+      token: await authenticate(1),
+    });
+    expect(blockerFeed.body.content.map((hoax) => hoax.user.id)).toEqual([
+      blocker.id,
+    ]);
+    const blockedFeed = await send("get", "/api/1.0/hoaxes", {
+      token: await authenticate(2),
+    });
+    expect(blockedFeed.body.content.map((hoax) => hoax.user.id)).toEqual([
+      blocked.id,
+    ]);
+  });
+
+  it("returns 404 for a single hoax of a blocked user", async () => {
+    const { blocked } = await addBlockedPair();
+    const hoax = await addHoax(blocked.id);
+    const token = await authenticate(1);
+    const response = await send("get", `/api/1.0/hoax/${hoax.id}`, { token });
+    expect(response.status).toBe(404);
+  });
+
+  it("hides replies of a blocked user", async () => {
+    const { blocker, blocked } = await addBlockedPair();
+    const hoax = await addHoax(blocker.id);
+    await Hoax.create({
+      content: "reply",
+      timestamp: Date.now(),
+      userId: blocked.id,
+      parentId: hoax.id,
+    });
+    const token = await authenticate(1);
+    const response = await send("get", `/api/1.0/hoaxes/${hoax.id}/replies`, {
+      token,
+    });
+    expect(response.body.content.length).toBe(0);
+  });
+
+  it("does not let a blocked user reply to the blocker", async () => {
+    const { blocker } = await addBlockedPair();
+    const hoax = await addHoax(blocker.id);
+    const token = await authenticate(2);
+    const response = await send("post", `/api/1.0/hoaxes/${hoax.id}/replies`, {
+      token,
+      body: { content: "Reply to blocker" },
+    });
+    expect(response.status).toBe(404);
+  });
+
+  it("hides users and hoaxes of each other in search", async () => {
+    const { blocked } = await addBlockedPair();
+    await addHoax(blocked.id, "searchable hoax");
+    const token = await authenticate(1);
+    const users = await send("get", "/api/1.0/search?q=user2&type=users", {
+      token,
+    });
+    expect(users.body.content.length).toBe(0);
+    const hoaxes = await send("get", "/api/1.0/search?q=searchable", {
+      token,
+    });
+    expect(hoaxes.body.content.length).toBe(0);
+  });
+
+  it("does not create mentions between blocked users", async () => {
+    await addBlockedPair();
+    const token = await authenticate(2);
+    await send("post", "/api/1.0/hoaxes", {
+      token,
+      body: { content: "Hello @user1" },
+    });
+    const count = await Mention.count();
+    expect(count).toBe(0);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.follow_blocked}
+    ${"en"}  | ${en.follow_blocked}
+  `(
+    "returns $message when blocked user follows the blocker and language is $language",
+    async ({ language, message }) => {
+      const { blocker } = await addBlockedPair();
+      const token = await authenticate(2);
+      const response = await send(
+        "post",
+        `/api/1.0/users/${blocker.id}/follow`,
+        { token, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it("does not let the blocker follow the blocked user", async () => {
+    const { blocked } = await addBlockedPair();
+    const token = await authenticate(1);
+    await send("post", `/api/1.0/users/${blocked.id}/follow`, { token });
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+
+  it("shows hoaxes of both users to others", async () => {
+    const { blocker, blocked } = await addBlockedPair();
+    await addHoax(blocker.id);
+    await addHoax(blocked.id);
+    const response = await send("get", "/api/1.0/hoaxes");
+    expect(response.body.content.length).toBe(2);
+  });
+});
+
+describe("Mute", () => {
+  it("returns 401 when mute request is sent without authentication", async () => {
+    const user = await addUser();
+    const response = await muteUser(user.id);
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_mute}
+    ${"en"}  | ${en.unauthroized_mute}
+  `(
+    "returns $message for unauthenticated mute when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await muteUser(user.id, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.mute_self}
+    ${"en"}  | ${en.mute_self}
+  `(
+    "returns $message when user mutes themself and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser(1);
+      const token = await authenticate(1);
+      const response = await muteUser(user.id, { token, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it("lists and removes muted users", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    const token = await authenticate(1);
+    await muteUser(other.id, { token });
+    const list = await send("get", "/api/1.0/mutes", { token });
+    expect(list.body.content.map((user) => user.id)).toEqual([other.id]);
+    await send("delete", `/api/1.0/users/${other.id}/mute`, { token });
+    const count = await Mute.count();
+    expect(count).toBe(0);
+  });
+
+  it("keeps the follow relationship", async () => {
+    const user = await addUser(1);
+    const other = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: other.id });
+    const token = await authenticate(1);
+    await muteUser(other.id, { token });
+    const count = await Follow.count();
+    expect(count).toBe(1);
+  });
+
+  it("hides hoaxes of the muted user from the timeline", async () => {
+    const user = await addUser(1);
+    const other = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: other.id });
+    await addHoax(user.id);
+    await addHoax(other.id);
+    const token = await authenticate(1);
+    await muteUser(other.id, { token });
+    const response = await send("get", "/api/1.0/timeline", { token });
+    expect(response.body.content.map((hoax) => hoax.user.id)).toEqual([
+      user.id,
+    ]);
+  });
+
+  it("keeps hoaxes of the muted user on their profile", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    await addHoax(other.id);
+    const token = await authenticate(1);
+    await muteUser(other.id, { token });
+    const response = await send("get", `/api/1.0/users/${other.id}/hoaxes`, {
+      token,
+    });
+    expect(response.body.content.length).toBe(1);
+  });
+
+  it("keeps the muted user in user listing", async () => {
+    await addUser(1);
+    const other = await addUser(2);
+    const token = await authenticate(1);
+    await muteUser(other.id, { token });
+    const response = await send("get", "/api/1.0/users", { token });
+    expect(response.body.content.length).toBe(1);
+  });
+});
@@ -0,0 +1,131 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Bookmark = require("../src/bookmark/Bookmark");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId, content = "Hoax content") => {
+  return await Hoax.create({ content, timestamp: Date.now(), userId });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postBookmark = async (hoaxId, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/bookmark`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+const getBookmarks = async (options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).get("/api/1.0/bookmarks");
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe("Bookmarks", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_bookmark}
+    ${"en"}  | ${en.unauthroized_bookmark}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await postBookmark(1, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("saves the bookmark once for the user", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await postBookmark(hoax.id, { auth: credentials });
+    const response = await postBookmark(hoax.id, { auth: credentials });
+    expect(response.status).toBe(200);
+    const count = await Bookmark.count();
+    expect(count).toBe(1);
+  });
+
+  it("returns 404 when hoax does not exist", async () => {
+    await addUser();
+    const response = await postBookmark(5, { auth: credentials });
+    expect(response.status).toBe(404);
+  });
+
+  it("returns bookmarked hoaxes of the user only, latest bookmark first", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const first = await addHoax(otherUser.id, "first hoax");
+    const second = await addHoax(otherUser.id, "second hoax");
+    await addHoax(otherUser.id, "not bookmarked");
+    await Bookmark.create({ userId: user.id, hoaxId: second.id });
+    await Bookmark.create({ userId: user.id, hoaxId: first.id });
+    await Bookmark.create({ userId: otherUser.id, hoaxId: second.id });
+    const response = await getBookmarks({ auth: credentials });
+    expect(response.body.content.map((hoax) => hoax.id)).toEqual([
+      first.id,
+      second.id,
+    ]);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("returns 401 for bookmark list without authentication", async () => {
+    const response = await getBookmarks();
+    expect(response.status).toBe(401);
+  });
+
+  it("removes the bookmark", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await Bookmark.create({ userId: user.id, hoaxId: hoax.id });
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}/bookmark`)
+      .set("Authorization", `Bearer ${token}`);
+    const count = await Bookmark.count();
+    expect(count).toBe(0);
+  });
+});
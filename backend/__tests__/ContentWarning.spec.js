@@ -0,0 +1,294 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const ModerationAction = require("../src/moderation/ModerationAction");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await ModerationAction.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, fields = {}) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...fields,
+  });
+};
+
+const addHoax = async (userId, fields = {}) => {
+  return await Hoax.create({
+    content: "Hoax content",
+    timestamp: Date.now(),
+    userId,
+    ...fields,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postHoax = async (body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post("/api/1.0/hoaxes");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const postFlag = async (hoaxId, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/flags`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const getHoaxes = async (options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).get("/api/1.0/hoaxes");
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe("Content Warnings", () => {
+  it("saves content warning and sensitive flag of the hoax", async () => {
+    await addUser();
+    await postHoax(
+      {
+        content: "Hoax with spoilers",
+        contentWarning: "Spoilers",
+        sensitive: true,
+      },
+      { auth: credentials },
+    );
+    const hoax = await Hoax.findOne();
+    expect(hoax.contentWarning).toBe("Spoilers");
+    expect(hoax.sensitive).toBe(true);
+  });
+
+  it.each`
+    field               | value              | message
+    ${"contentWarning"} | ${"a".repeat(201)} | ${"content_warning_size"}
+    ${"sensitive"}      | ${"maybe"}         | ${"sensitive_invalid"}
+  `(
+    "returns $message when $field is $value",
+    async ({ field, value, message }) => {
+      await addUser();
+      for (const language of ["tr", "en"]) {
+        const response = await postHoax(
+          { content: "Hoax with spoilers", [field]: value },
+          { auth: credentials, language },
+        );
+        const translations = language === "tr" ? tr : en;
+        expect(response.status).toBe(400);
+        expect(response.body.validationErrors[field]).toBe(
+          translations[message],
+        );
+      }
+    },
+  );
+
+  it("returns flags and collapses flagged hoaxes by default", async () => {
+    const user = await addUser();
+    await addHoax(user.id, { contentWarning: "Spoilers", sensitive: true });
+    await addHoax(user.id);
+    const response = await getHoaxes({ auth: credentials });
+    const [plainHoax, flaggedHoax] = response.body.content;
+    expect(flaggedHoax.contentWarning).toBe("Spoilers");
+    expect(flaggedHoax.sensitive).toBe(true);
+    expect(flaggedHoax.collapsed).toBe(true);
+    expect(plainHoax.sensitive).toBe(false);
+    expect(plainHoax.contentWarning).toBeUndefined();
+    expect(plainHoax.collapsed).toBeUndefined();
+  });
+
+  it("expands flagged hoaxes for users who prefer auto-expand", async () => {
+    const user = await addUser(1, { expandSensitive: true });
+    await addHoax(user.id, { sensitive: true });
+    const response = await getHoaxes({ auth: credentials });
+    expect(response.body.content[0].collapsed).toBe(false);
+  });
+
+  it("saves the auto-expand preference from user update", async () => {
+    const user = await addUser();
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .put(`/api/1.0/users/${user.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ username: "user1", expandSensitive: true });
+    await user.reload();
+    expect(user.expandSensitive).toBe(true);
+  });
+
+  it("returns the auto-expand preference in the user update response", async () => {
+    const user = await addUser();
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .put(`/api/1.0/users/${user.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ username: "user1", expandSensitive: true });
+    expect(response.body.expandSensitive).toBe(true);
+    expect(response.body.private).toBe(false);
+  });
+
+  it("returns the auto-expand preference of the user only to the user", async () => {
+    const user = await addUser(1, { expandSensitive: true });
+    await addUser(2);
+    const token = await auth({ auth: credentials });
+    const own = await request(app)
+      .get(`/api/1.0/users/${user.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(own.body.expandSensitive).toBe(true);
+    const otherToken = await auth({
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    const other = await request(app)
+      .get(`/api/1.0/users/${user.id}`)
+      .set("Authorization", `Bearer ${otherToken}`);
+    expect(other.body.expandSensitive).toBeUndefined();
+    const anonymous = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(anonymous.body.expandSensitive).toBeUndefined();
+  });
+
+  it("collapses flagged hoaxes for anonymous users", async () => {
+    const user = await addUser(1, { expandSensitive: true });
+    await addHoax(user.id, { sensitive: true });
+    const response = await getHoaxes();
+    expect(response.body.content[0].collapsed).toBe(true);
+  });
+});
+
+describe("Flagging Hoaxes", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_flag}
+    ${"en"}  | ${en.unauthroized_hoax_flag}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await postFlag(5, { sensitive: true }, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_flag}
+    ${"en"}  | ${en.unauthroized_hoax_flag}
+  `(
+    "returns 403 with $message when user flags hoax of another user and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const author = await addUser(2);
+      const hoax = await addHoax(author.id);
+      const response = await postFlag(
+        hoax.id,
+        { sensitive: true },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+      await hoax.reload();
+      expect(hoax.sensitive).toBe(false);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_flag_empty}
+    ${"en"}  | ${en.hoax_flag_empty}
+  `(
+    "returns 400 with $message when no flag is sent and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(user.id);
+      const response = await postFlag(
+        hoax.id,
+        { sensitive: false },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.contentWarning).toBe(message);
+    },
+  );
+
+  it("lets the author flag own hoax without a moderation record", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await postFlag(
+      hoax.id,
+      { contentWarning: "Spoilers" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    await hoax.reload();
+    expect(hoax.contentWarning).toBe("Spoilers");
+    expect(await ModerationAction.count()).toBe(0);
+  });
+
+  it("lets moderators flag hoax of another user and records the action", async () => {
+    const moderator = await addUser(1, { moderator: true });
+    const author = await addUser(2);
+    const hoax = await addHoax(author.id);
+    const response = await postFlag(
+      hoax.id,
+      { contentWarning: "Violence", sensitive: true },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    await hoax.reload();
+    expect(hoax.contentWarning).toBe("Violence");
+    expect(hoax.sensitive).toBe(true);
+    const action = await ModerationAction.findOne();
+    expect(action.action).toBe("flag");
+    expect(action.moderatorId).toBe(moderator.id);
+    expect(action.hoaxId).toBe(hoax.id);
+    expect(action.contentWarning).toBe("Violence");
+    expect(action.sensitive).toBe(true);
+  });
+
+  it("returns 404 when hoax does not exist", async () => {
+    await addUser(1, { moderator: true });
+    const response = await postFlag(
+      5,
+      { sensitive: true },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(404);
+  });
+});
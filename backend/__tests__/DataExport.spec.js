@@ -0,0 +1,546 @@
+const request = require("supertest");
+const app = require("../src/app");
+const SMTPServer = require("smtp-server").SMTPServer;
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const FileAttachment = require("../src/file/FileAttachment");
+const Reaction = require("../src/reaction/Reaction");
+const Follow = require("../src/follow/Follow");
+const FollowRequest = require("../src/follow/FollowRequest");
+const Block = require("../src/block/Block");
+const Mute = require("../src/block/Mute");
+const Bookmark = require("../src/bookmark/Bookmark");
+const Draft = require("../src/draft/Draft");
+const Poll = require("../src/poll/Poll");
+const PollOption = require("../src/poll/PollOption");
+const PollVote = require("../src/poll/PollVote");
+const EmailChange = require("../src/user/EmailChange");
+const DataExport = require("../src/export/DataExport");
+const ExportService = require("../src/export/ExportService");
+const UserService = require("../src/user/UserService");
+const FileService = require("../src/file/FileService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const fs = require("fs");
+const path = require("path");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+const { uploadDir, profileDir, attachmentDir, exportDir } = config;
+const profileFolder = path.join(".", uploadDir, profileDir);
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
+const exportFolder = path.join(".", uploadDir, exportDir);
+
+let lastMail, server;
+let simulateSmtpFailure = false;
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody;
+      stream.on("data", (data) => {
+        mailBody += data.toString();
+      });
+      stream.on("end", () => {
+        if (simulateSmtpFailure) {
+          const err = new Error("inavlid mailbox");
+          err.responseCode = 553;
+          return callback(err);
+        }
+        lastMail = mailBody;
+        callback();
+      });
+    },
+  });
+
+  await server.listen(config.mail.port, "localhost");
+  await sequelize.sync();
+  jest.setTimeout(20000);
+});
+
+beforeEach(async () => {
+  simulateSmtpFailure = false;
+  lastMail = undefined;
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await server.close();
+  jest.setTimeout(5000);
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, fields = {}) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...fields,
+  });
+};
+
+const addResourceFile = (folder, prefix) => {
+  const filename = prefix + Date.now();
+  const filePath = path.join(".", "__tests__", "resources", "test-png.png");
+  fs.copyFileSync(filePath, path.join(folder, filename));
+  return filename;
+};
+
+const addHoaxWithAttachment = async (userId) => {
+  const hoax = await Hoax.create({
+    content: "Hoax with attachment",
+    timestamp: Date.now(),
+    userId,
+  });
+  const filename = addResourceFile(attachmentFolder, "test-file-export");
+  await FileAttachment.create({
+    filename,
+    fileType: "image/png",
+    uploadDate: new Date(),
+    hoaxId: hoax.id,
+  });
+  return { hoax, filename };
+};
+
+const authenticate = async (auth = credentials) => {
+  const response = await request(app).post("/api/1.0/auth").send(auth);
+  return response.body.token;
+};
+
+const postExport = async (id, options = {}) => {
+  const agent = request(app).post(`/api/1.0/users/${id}/export`);
+  if (options.token) {
+    agent.set("Authorization", `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send();
+};
+
+const getExport = async (id, exportToken, options = {}) => {
+  const agent = request(app)
+    .get(`/api/1.0/users/${id}/export/${exportToken}`)
+    .responseType("blob");
+  if (options.token) {
+    agent.set("Authorization", `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send();
+};
+
+// the archive is built in the background after the request is answered
+const waitForExport = async (userId) => {
+  for (let i = 0; i < 50; i++) {
+    const dataExport = await DataExport.findOne({
+      where: { userId },
+      order: [["id", "DESC"]],
+    });
+    if (dataExport && dataExport.status !== "pending") {
+      return dataExport;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+const requestExport = async (user) => {
+  const token = await authenticate();
+  await postExport(user.id, { token });
+  return { token, dataExport: await waitForExport(user.id) };
+};
+
+describe("Data Export Request", () => {
+  it("returns 403 when request is sent without authentication", async () => {
+    const user = await addUser();
+    const response = await postExport(user.id);
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 403 when request is sent for another user", async () => {
+    await addUser();
+    const other = await addUser(2);
+    const token = await authenticate();
+    const response = await postExport(other.id, { token });
+    expect(response.status).toBe(403);
+    const count = await DataExport.count();
+    expect(count).toBe(0);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_export}
+    ${"en"}  | ${en.unauthroized_export}
+  `(
+    "returns $message for unauthorized request when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await postExport(user.id, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 202 accepted for the account owner", async () => {
+    const user = await addUser();
+    const token = await authenticate();
+    const response = await postExport(user.id, { token });
+    expect(response.status).toBe(202);
+    await waitForExport(user.id);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.export_request_success}
+    ${"en"}  | ${en.export_request_success}
+  `(
+    "returns $message when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const token = await authenticate();
+      const response = await postExport(user.id, { token, language });
+      expect(response.body.message).toBe(message);
+      await waitForExport(user.id);
+    },
+  );
+
+  it("builds the archive in the export folder", async () => {
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    expect(dataExport.status).toBe("ready");
+    expect(fs.existsSync(path.join(exportFolder, dataExport.filename))).toBe(
+      true,
+    );
+  });
+
+  it("emails the download token to the user", async () => {
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    expect(lastMail).toContain("user1@mail.com");
+    expect(lastMail).toContain(dataExport.token);
+  });
+
+  it("ignores the request while another export is pending", async () => {
+    const user = await addUser();
+    await DataExport.create({
+      userId: user.id,
+      requestedAt: Date.now(),
+      expiresAt: Date.now() + config.exportBuildTimeout,
+    });
+    const token = await authenticate();
+    await postExport(user.id, { token });
+    expect(await DataExport.count()).toBe(1);
+  });
+
+  it("builds a new export when the pending one is past its deadline", async () => {
+    const user = await addUser();
+    await DataExport.create({
+      userId: user.id,
+      requestedAt: Date.now() - config.exportBuildTimeout - 1000,
+      expiresAt: Date.now() - 1000,
+    });
+    const token = await authenticate();
+    await postExport(user.id, { token });
+    const dataExport = await waitForExport(user.id);
+    expect(dataExport.status).toBe("ready");
+  });
+
+  it("marks the export as failed when sending email fails", async () => {
+    simulateSmtpFailure = true;
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    expect(dataExport.status).toBe("failed");
+  });
+});
+
+describe("Data Export Content", () => {
+  it("collects profile, hoaxes, attachments, reactions, follows and sessions", async () => {
+    const user = await addUser(1, { bio: "My bio" });
+    const other = await addUser(2);
+    const { hoax, filename } = await addHoaxWithAttachment(user.id);
+    await Reaction.create({ type: "like", hoaxId: hoax.id, userId: user.id });
+    await Follow.create({ followerId: user.id, followingId: other.id });
+    await authenticate();
+
+    const { documents, attachments } = await ExportService.collectData(user.id);
+    const data = JSON.parse(JSON.stringify(documents));
+    expect(data["profile.json"].bio).toBe("My bio");
+    expect(data["profile.json"].password).toBeUndefined();
+    expect(data["hoaxes.json"].map((h) => h.id)).toEqual([hoax.id]);
+    expect(data["attachments.json"][0].filename).toBe(filename);
+    expect(data["reactions.json"][0].type).toBe("like");
+    expect(data["follows.json"].following[0].username).toBe("user2");
+    expect(data["follows.json"].followers).toEqual([]);
+    expect(data["sessions.json"].length).toBe(1);
+    expect(data["sessions.json"][0].token).toBeUndefined();
+    expect(attachments).toEqual([filename]);
+  });
+
+  it("collects drafts, bookmarks, poll votes, requests, blocks, mutes and email changes", async () => {
+    const user = await addUser(1, { private: true, moderator: true });
+    const other = await addUser(2);
+    const third = await addUser(3);
+    const hoax = await Hoax.create({
+      content: "Hoax of other",
+      timestamp: Date.now(),
+      userId: other.id,
+    });
+    const poll = await Poll.create({
+      hoaxId: hoax.id,
+      expiresAt: Date.now() + 60 * 60 * 1000,
+    });
+    const option = await PollOption.create({
+      pollId: poll.id,
+      text: "First",
+      position: 0,
+    });
+    await PollVote.create({
+      pollId: poll.id,
+      pollOptionId: option.id,
+      userId: user.id,
+    });
+    await Draft.create({
+      content: "My draft",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    await Bookmark.create({ hoaxId: hoax.id, userId: user.id });
+    await FollowRequest.create({ followerId: user.id, followingId: other.id });
+    await FollowRequest.create({ followerId: third.id, followingId: user.id });
+    await Block.create({ blockerId: user.id, blockedId: third.id });
+    await Mute.create({ muterId: user.id, mutedId: other.id });
+    await EmailChange.create({
+      userId: user.id,
+      email: "new@mail.com",
+      previousEmail: "user1@mail.com",
+      confirmationToken: "confirmation-token",
+    });
+
+    const { documents } = await ExportService.collectData(user.id);
+    const data = JSON.parse(JSON.stringify(documents));
+    expect(data["profile.json"].private).toBe(true);
+    expect(data["profile.json"].moderator).toBe(true);
+    expect(data["drafts.json"][0].content).toBe("My draft");
+    expect(data["bookmarks.json"][0].hoaxId).toBe(hoax.id);
+    expect(data["poll-votes.json"][0]).toMatchObject({
+      hoaxId: hoax.id,
+      option: "First",
+    });
+    expect(data["follow-requests.json"].sent[0].username).toBe("user2");
+    expect(data["follow-requests.json"].received[0].username).toBe("user3");
+    expect(data["blocks.json"][0].username).toBe("user3");
+    expect(data["mutes.json"][0].username).toBe("user2");
+    expect(data["email-changes.json"][0].email).toBe("new@mail.com");
+    expect(data["email-changes.json"][0].confirmationToken).toBeUndefined();
+  });
+
+  it("collects attachments of drafts and uploads not linked yet", async () => {
+    const user = await addUser();
+    const draft = await Draft.create({
+      content: "My draft",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const draftFile = addResourceFile(attachmentFolder, "test-file-draft");
+    await FileAttachment.create({
+      filename: draftFile,
+      fileType: "image/png",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    const unlinkedFile = addResourceFile(
+      attachmentFolder,
+      "test-file-unlinked",
+    );
+    await FileAttachment.create({
+      filename: unlinkedFile,
+      fileType: "image/png",
+      uploadDate: new Date(),
+      userId: user.id,
+    });
+    const { attachments } = await ExportService.collectData(user.id);
+    expect(attachments).toEqual([draftFile, unlinkedFile]);
+  });
+
+  it("does not collect data of other users", async () => {
+    const user = await addUser();
+    const other = await addUser(2);
+    await addHoaxWithAttachment(other.id);
+    const { documents, attachments } = await ExportService.collectData(user.id);
+    expect(documents["hoaxes.json"]).toEqual([]);
+    expect(attachments).toEqual([]);
+  });
+
+  it("puts json files and original media into the archive", async () => {
+    const image = addResourceFile(profileFolder, "test-file-export-profile");
+    const user = await addUser(1, { image });
+    const { filename } = await addHoaxWithAttachment(user.id);
+    const { token, dataExport } = await requestExport(user);
+    const response = await getExport(user.id, dataExport.token, { token });
+    const archive = response.body.toString("latin1");
+    expect(archive).toContain("profile.json");
+    expect(archive).toContain("hoaxes.json");
+    expect(archive).toContain("follows.json");
+    expect(archive).toContain(`media/profile/${image}`);
+    expect(archive).toContain(`media/attachments/${filename}`);
+  });
+
+  it("puts media of drafts into the archive", async () => {
+    const user = await addUser();
+    const draft = await Draft.create({
+      content: "My draft",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const filename = addResourceFile(attachmentFolder, "test-file-draft");
+    await FileAttachment.create({
+      filename,
+      fileType: "image/png",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    const { token, dataExport } = await requestExport(user);
+    const response = await getExport(user.id, dataExport.token, { token });
+    const archive = response.body.toString("latin1");
+    expect(archive).toContain("drafts.json");
+    expect(archive).toContain(`media/attachments/${filename}`);
+  });
+});
+
+describe("Data Export Download", () => {
+  it("returns the zip archive to the account owner", async () => {
+    const user = await addUser();
+    const { token, dataExport } = await requestExport(user);
+    const response = await getExport(user.id, dataExport.token, { token });
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/zip");
+    expect(response.body.subarray(0, 2).toString()).toBe("PK");
+  });
+
+  it("returns 403 when download is requested without authentication", async () => {
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    const response = await getExport(user.id, dataExport.token);
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 403 when another user requests the download", async () => {
+    const user = await addUser();
+    await addUser(2);
+    const { dataExport } = await requestExport(user);
+    const otherToken = await authenticate({
+      email: "user2@mail.com",
+      password: "P@ssw0rd",
+    });
+    const response = await getExport(user.id, dataExport.token, {
+      token: otherToken,
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 404 when the download link is expired", async () => {
+    const user = await addUser();
+    const { token, dataExport } = await requestExport(user);
+    dataExport.expiresAt = Date.now() - 1000;
+    await dataExport.save();
+    const response = await getExport(user.id, dataExport.token, { token });
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.export_not_found}
+    ${"en"}  | ${en.export_not_found}
+  `(
+    "returns $message for unknown export token when language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const token = await authenticate();
+      const user = await User.findOne();
+      const response = await request(app)
+        .get(`/api/1.0/users/${user.id}/export/abcd`)
+        .set("Authorization", `Bearer ${token}`)
+        .set("Accept-Language", language);
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe("Data Export Archive", () => {
+  it("rejects when the archive cannot be written", async () => {
+    const createWriteStream = fs.createWriteStream;
+    jest
+      .spyOn(fs, "createWriteStream")
+      .mockImplementationOnce(() =>
+        createWriteStream(path.join(exportFolder, "missing", "archive.zip")),
+      );
+    await expect(
+      FileService.saveExportArchive({
+        documents: { "profile.json": {} },
+        attachments: [],
+      }),
+    ).rejects.toThrow();
+  });
+});
+
+describe("Data Export Cleanup", () => {
+  it("removes expired archives", async () => {
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    dataExport.expiresAt = Date.now() - 1000;
+    await dataExport.save();
+    await ExportService.removeExpiredExports();
+    expect(fs.existsSync(path.join(exportFolder, dataExport.filename))).toBe(
+      false,
+    );
+    const count = await DataExport.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes failed exports once they expire", async () => {
+    jest
+      .spyOn(FileService, "saveExportArchive")
+      .mockRejectedValueOnce(new Error("disk full"));
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    expect(dataExport.status).toBe("failed");
+    expect(dataExport.expiresAt).not.toBeNull();
+    dataExport.expiresAt = Date.now() - 1000;
+    await dataExport.save();
+    await ExportService.removeExpiredExports();
+    const count = await DataExport.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes pending exports which are past their deadline", async () => {
+    const user = await addUser();
+    await DataExport.create({
+      userId: user.id,
+      requestedAt: Date.now() - config.exportBuildTimeout - 1000,
+      expiresAt: Date.now() - 1000,
+    });
+    await ExportService.removeExpiredExports();
+    const count = await DataExport.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes archives of the user when user is deleted", async () => {
+    const user = await addUser();
+    const { dataExport } = await requestExport(user);
+    await UserService.deleteUser(user.id);
+    expect(fs.existsSync(path.join(exportFolder, dataExport.filename))).toBe(
+      false,
+    );
+  });
+});
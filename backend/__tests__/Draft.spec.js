@@ -0,0 +1,622 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Draft = require("../src/draft/Draft");
+const DraftService = require("../src/draft/DraftService");
+const HoaxService = require("../src/hoax/HoaxService");
+const FileAttachment = require("../src/file/FileAttachment");
+const Poll = require("../src/poll/Poll");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postDraft = async (body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post("/api/1.0/drafts");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const getDrafts = async (options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).get("/api/1.0/drafts");
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+const putDraft = async (id, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).put(`/api/1.0/drafts/${id}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const deleteDraft = async (id, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).delete(`/api/1.0/drafts/${id}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+const addDraft = async (userId, fields = {}) => {
+  return await Draft.create({
+    content: "Draft content",
+    timestamp: Date.now(),
+    userId,
+    ...fields,
+  });
+};
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+describe("Drafts", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_drafts}
+    ${"en"}  | ${en.unauthroized_drafts}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await postDraft(
+        { content: "Draft content" },
+        { language },
+      );
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.draft_save_success}
+    ${"en"}  | ${en.draft_save_success}
+  `(
+    "saves the draft and returns $message when language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postDraft(
+        { content: "Draft content" },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(message);
+      const drafts = await Draft.findAll();
+      expect(drafts.length).toBe(1);
+      expect(drafts[0].scheduledAt).toBeNull();
+    },
+  );
+
+  it.each`
+    field            | scheduledAt                                       | message
+    ${"not number"}  | ${"tomorrow"}                                     | ${"schedule_invalid"}
+    ${"in the past"} | ${Date.now() - ONE_HOUR}                          | ${"schedule_past"}
+    ${"too far"}     | ${Date.now() + config.scheduleHorizon + ONE_HOUR} | ${"schedule_horizon"}
+  `(
+    "returns $message when schedule time is $field",
+    async ({ scheduledAt, message }) => {
+      await addUser();
+      for (const language of ["tr", "en"]) {
+        const response = await postDraft(
+          { content: "Scheduled content", scheduledAt },
+          { auth: credentials, language },
+        );
+        const translations = language === "tr" ? tr : en;
+        expect(response.status).toBe(400);
+        expect(response.body.validationErrors.scheduledAt).toBe(
+          translations[message],
+        );
+      }
+    },
+  );
+
+  it("links an attachment of the user to the draft", async () => {
+    const user = await addUser();
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      userId: user.id,
+    });
+    await postDraft(
+      { content: "Draft content", fileAttachment: attachment.id },
+      { auth: credentials },
+    );
+    const draft = await Draft.findOne();
+    await attachment.reload();
+    expect(attachment.draftId).toBe(draft.id);
+  });
+
+  it("returns 400 when the attachment belongs to another user", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      userId: otherUser.id,
+    });
+    const response = await postDraft(
+      { content: "Draft content", fileAttachment: attachment.id },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.fileAttachment).toBe(
+      en.attachment_unavailable,
+    );
+    expect(await Draft.count()).toBe(0);
+  });
+
+  it("keeps drafts and scheduled hoaxes out of the public feeds", async () => {
+    const user = await addUser();
+    await postDraft({ content: "Draft content" }, { auth: credentials });
+    await postDraft(
+      { content: "Scheduled content", scheduledAt: Date.now() + ONE_HOUR },
+      { auth: credentials },
+    );
+    const feed = await request(app).get("/api/1.0/hoaxes");
+    expect(feed.body.content.length).toBe(0);
+    const userFeed = await request(app).get(`/api/1.0/users/${user.id}/hoaxes`);
+    expect(userFeed.body.content.length).toBe(0);
+  });
+
+  it("returns drafts of the authenticated user only", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await Draft.create({
+      content: "Draft of other user",
+      timestamp: Date.now(),
+      userId: otherUser.id,
+    });
+    const scheduledAt = Date.now() + ONE_HOUR;
+    await Draft.create({
+      content: "Scheduled draft",
+      timestamp: Date.now(),
+      scheduledAt,
+      userId: user.id,
+    });
+    const response = await getDrafts({ auth: credentials });
+    expect(response.body.content.length).toBe(1);
+    const draft = response.body.content[0];
+    expect(Object.keys(draft)).toEqual([
+      "id",
+      "content",
+      "timestamp",
+      "scheduledAt",
+      "visibility",
+      "sensitive",
+    ]);
+    expect(draft.scheduledAt).toBe(scheduledAt);
+  });
+
+  it("saves visibility, content warning and poll of the draft", async () => {
+    await addUser();
+    const expiresAt = Date.now() + ONE_HOUR;
+    await postDraft(
+      {
+        content: "Draft content",
+        visibility: "followers",
+        contentWarning: "Spoilers",
+        sensitive: true,
+        poll: { options: ["First", "Second"], expiresAt },
+      },
+      { auth: credentials },
+    );
+    const draft = await Draft.findOne();
+    expect(draft.visibility).toBe("followers");
+    expect(draft.contentWarning).toBe("Spoilers");
+    expect(draft.sensitive).toBe(true);
+    expect(draft.poll).toEqual({ options: ["First", "Second"], expiresAt });
+  });
+
+  it.each`
+    field               | value                                                   | message
+    ${"visibility"}     | ${"everyone"}                                           | ${"hoax_visibility_invalid"}
+    ${"contentWarning"} | ${"a".repeat(201)}                                      | ${"content_warning_size"}
+    ${"poll"}           | ${{ options: "abc", expiresAt: Date.now() + ONE_HOUR }} | ${"poll_options_size"}
+  `(
+    "returns $message when $field of the draft is invalid",
+    async ({ field, value, message }) => {
+      await addUser();
+      const response = await postDraft(
+        { content: "Draft content", [field]: value },
+        { auth: credentials },
+      );
+      expect(response.status).toBe(400);
+      expect(Object.values(response.body.validationErrors)).toEqual([
+        en[message],
+      ]);
+      expect(await Draft.count()).toBe(0);
+    },
+  );
+
+  it("returns 400 when the poll of a scheduled draft expires before it is published", async () => {
+    await addUser();
+    const response = await postDraft(
+      {
+        content: "Draft content",
+        scheduledAt: Date.now() + 2 * ONE_HOUR,
+        poll: {
+          options: ["First", "Second"],
+          expiresAt: Date.now() + ONE_HOUR,
+        },
+      },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors["poll.expiresAt"]).toBe(
+      en.poll_expiry_invalid,
+    );
+  });
+
+  it("publishes the draft as a new hoax", async () => {
+    const user = await addUser();
+    const draft = await Draft.create({
+      content: "Draft content",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .post(`/api/1.0/drafts/${draft.id}/publish`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    const hoaxes = await Hoax.findAll();
+    expect(hoaxes.map((hoax) => hoax.content)).toEqual(["Draft content"]);
+    expect(await Draft.count()).toBe(0);
+  });
+
+  it("returns 404 when publishing draft of another user", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const draft = await Draft.create({
+      content: "Draft content",
+      timestamp: Date.now(),
+      userId: otherUser.id,
+    });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .post(`/api/1.0/drafts/${draft.id}/publish`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(404);
+    expect(await Hoax.count()).toBe(0);
+  });
+
+  it("publishes the draft with its visibility, content warning and poll", async () => {
+    const user = await addUser();
+    const draft = await addDraft(user.id, {
+      visibility: "followers",
+      contentWarning: "Spoilers",
+      sensitive: true,
+      poll: { options: ["First", "Second"], expiresAt: Date.now() + ONE_HOUR },
+    });
+    await DraftService.publish(draft.id, user);
+    const hoax = await Hoax.findOne();
+    expect(hoax.visibility).toBe("followers");
+    expect(hoax.contentWarning).toBe("Spoilers");
+    expect(hoax.sensitive).toBe(true);
+    expect(await Poll.count({ where: { hoaxId: hoax.id } })).toBe(1);
+  });
+
+  it("does not keep the hoax when moving the attachment fails", async () => {
+    const user = await addUser();
+    const draft = await addDraft(user.id);
+    jest
+      .spyOn(FileAttachment, "update")
+      .mockRejectedValueOnce(new Error("update failed"));
+    await expect(DraftService.publish(draft.id, user)).rejects.toThrow(
+      "update failed",
+    );
+    expect(await Hoax.count()).toBe(0);
+    expect(await Draft.count()).toBe(1);
+  });
+
+  it("keeps the draft and its attachment when publishing fails", async () => {
+    const user = await addUser();
+    const draft = await Draft.create({
+      content: "Draft content",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    jest
+      .spyOn(HoaxService, "save")
+      .mockRejectedValueOnce(new Error("save failed"));
+    await expect(DraftService.publish(draft.id, user)).rejects.toThrow(
+      "save failed",
+    );
+    expect(await Draft.count()).toBe(1);
+    await attachment.reload();
+    expect(attachment.draftId).toBe(draft.id);
+  });
+});
+
+describe("Draft Update", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_drafts}
+    ${"en"}  | ${en.unauthroized_drafts}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await putDraft(
+        5,
+        { content: "Draft content" },
+        { language },
+      );
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.draft_update_success}
+    ${"en"}  | ${en.draft_update_success}
+  `(
+    "updates the draft and returns $message when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const draft = await addDraft(user.id);
+      const scheduledAt = Date.now() + ONE_HOUR;
+      const response = await putDraft(
+        draft.id,
+        {
+          content: "Updated draft content",
+          scheduledAt,
+          visibility: "mentioned",
+        },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(message);
+      await draft.reload();
+      expect(draft.content).toBe("Updated draft content");
+      expect(draft.scheduledAt).toBe(scheduledAt);
+      expect(draft.visibility).toBe("mentioned");
+    },
+  );
+
+  it("returns 400 when the updated content is invalid", async () => {
+    const user = await addUser();
+    const draft = await addDraft(user.id);
+    const response = await putDraft(
+      draft.id,
+      { content: "short" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    await draft.reload();
+    expect(draft.content).toBe("Draft content");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.draft_not_found}
+    ${"en"}  | ${en.draft_not_found}
+  `(
+    "returns 404 with $message when updating draft of another user and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const otherUser = await addUser(2);
+      const draft = await addDraft(otherUser.id);
+      const response = await putDraft(
+        draft.id,
+        { content: "Updated draft content" },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+      await draft.reload();
+      expect(draft.content).toBe("Draft content");
+    },
+  );
+
+  it("keeps the attachment when the update leaves it out", async () => {
+    const user = await addUser();
+    const draft = await addDraft(user.id);
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    await putDraft(
+      draft.id,
+      { content: "Updated draft content" },
+      { auth: credentials },
+    );
+    await attachment.reload();
+    expect(attachment.draftId).toBe(draft.id);
+  });
+
+  it("replaces the attachment with the one in the update", async () => {
+    const user = await addUser();
+    const draft = await addDraft(user.id);
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    const newAttachment = await FileAttachment.create({
+      filename: "test-file-new",
+      uploadDate: new Date(),
+      userId: user.id,
+    });
+    await putDraft(
+      draft.id,
+      { content: "Updated draft content", fileAttachment: newAttachment.id },
+      { auth: credentials },
+    );
+    expect(await FileAttachment.findByPk(attachment.id)).toBeNull();
+    await newAttachment.reload();
+    expect(newAttachment.draftId).toBe(draft.id);
+  });
+});
+
+describe("Draft Delete", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_drafts}
+    ${"en"}  | ${en.unauthroized_drafts}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await deleteDraft(5, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.draft_delete_success}
+    ${"en"}  | ${en.draft_delete_success}
+  `(
+    "removes the draft and its attachment and returns $message when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const draft = await addDraft(user.id);
+      const attachment = await FileAttachment.create({
+        filename: "test-file",
+        uploadDate: new Date(),
+        draftId: draft.id,
+      });
+      const response = await deleteDraft(draft.id, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(message);
+      expect(await Draft.count()).toBe(0);
+      expect(await FileAttachment.findByPk(attachment.id)).toBeNull();
+    },
+  );
+
+  it("returns 404 when deleting draft of another user", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const draft = await addDraft(otherUser.id);
+    const response = await deleteDraft(draft.id, { auth: credentials });
+    expect(response.status).toBe(404);
+    expect(await Draft.count()).toBe(1);
+  });
+});
+
+describe("Scheduled Publisher", () => {
+  it("publishes scheduled drafts whose time has come with their attachment", async () => {
+    const user = await addUser();
+    const draft = await Draft.create({
+      content: "Scheduled content",
+      timestamp: Date.now() - ONE_HOUR,
+      scheduledAt: Date.now() - 1000,
+      userId: user.id,
+    });
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      draftId: draft.id,
+    });
+    await DraftService.publishScheduledDrafts();
+    const hoax = await Hoax.findOne({ where: { userId: user.id } });
+    expect(hoax.content).toBe("Scheduled content");
+    await attachment.reload();
+    expect(attachment.hoaxId).toBe(hoax.id);
+    expect(attachment.draftId).toBeNull();
+  });
+
+  it("keeps drafts scheduled for later and plain drafts", async () => {
+    const user = await addUser();
+    await Draft.create({
+      content: "Scheduled content",
+      timestamp: Date.now(),
+      scheduledAt: Date.now() + ONE_HOUR,
+      userId: user.id,
+    });
+    await Draft.create({
+      content: "Draft content",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    await DraftService.publishScheduledDrafts();
+    expect(await Hoax.count()).toBe(0);
+    expect(await Draft.count()).toBe(2);
+  });
+
+  it("publishes the remaining drafts when one of them fails", async () => {
+    const user = await addUser();
+    for (const content of ["First scheduled", "Second scheduled"]) {
+      await Draft.create({
+        content,
+        timestamp: Date.now() - ONE_HOUR,
+        scheduledAt: Date.now() - 1000,
+        userId: user.id,
+      });
+    }
+    jest
+      .spyOn(HoaxService, "save")
+      .mockRejectedValueOnce(new Error("save failed"));
+    await DraftService.publishScheduledDrafts();
+    const hoaxes = await Hoax.findAll();
+    expect(hoaxes.map((hoax) => hoax.content)).toEqual(["Second scheduled"]);
+    const drafts = await Draft.findAll();
+    expect(drafts.map((draft) => draft.content)).toEqual(["First scheduled"]);
+  });
+});
@@ -0,0 +1,483 @@
+const request = require("supertest");
+const app = require("../src/app");
+const SMTPServer = require("smtp-server").SMTPServer;
+const User = require("../src/user/User");
+const EmailChange = require("../src/user/EmailChange");
+const Token = require("../src/auth/Token");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+const config = require("config");
+
+let lastMail, lastRecipients, server;
+let simulateSmtpFailure = false;
+
+beforeAll(async () => {
+  server = new SMTPServer({
+    authOptional: true,
+    onData(stream, session, callback) {
+      let mailBody;
+      stream.on("data", (data) => {
+        mailBody += data.toString();
+      });
+      stream.on("end", () => {
+        if (simulateSmtpFailure) {
+          const err = new Error("inavlid mailbox");
+          err.responseCode = 553;
+          return callback(err);
+        }
+        lastMail = mailBody;
+        lastRecipients = session.envelope.rcptTo.map((rcpt) => rcpt.address);
+        callback();
+      });
+    },
+  });
+
+  await server.listen(config.mail.port, "localhost");
+  await sequelize.sync();
+  jest.setTimeout(20000);
+});
+
+beforeEach(async () => {
+  simulateSmtpFailure = false;
+  lastMail = undefined;
+  lastRecipients = undefined;
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+afterAll(async () => {
+  await server.close();
+  jest.setTimeout(5000);
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const postEmailChange = async (id, body = {}, options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+  const agent = request(app).post(`/api/1.0/users/${id}/email`);
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(body);
+};
+
+const postConfirm = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/user/email/${token}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send();
+};
+
+const postRevert = (token, options = {}) => {
+  const agent = request(app).post(`/api/1.0/user/email/revert/${token}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send();
+};
+
+const validRequest = { email: "new-user1@mail.com", password: "P@ssw0rd" };
+
+const requestChange = async (user) => {
+  await postEmailChange(user.id, validRequest, { auth: credentials });
+  return await EmailChange.findOne({ where: { userId: user.id } });
+};
+
+const confirmChange = async (user) => {
+  const emailChange = await requestChange(user);
+  await postConfirm(emailChange.confirmationToken);
+  await emailChange.reload();
+  return emailChange;
+};
+
+describe("Email Change Request", () => {
+  it("returns 403 when request is sent without authentication", async () => {
+    const user = await addUser();
+    const response = await postEmailChange(user.id, validRequest);
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 403 when request is sent for another user", async () => {
+    await addUser();
+    const other = await addUser(2);
+    const response = await postEmailChange(other.id, validRequest, {
+      auth: credentials,
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_email_change}
+    ${"en"}  | ${en.unauthroized_email_change}
+  `(
+    "returns error body with $message for unauthorized request when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await postEmailChange(user.id, validRequest, {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 200 ok for a valid request", async () => {
+    const user = await addUser();
+    const response = await postEmailChange(user.id, validRequest, {
+      auth: credentials,
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_change_request_success}
+    ${"en"}  | ${en.email_change_request_success}
+  `(
+    "returns $message for a valid request when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await postEmailChange(user.id, validRequest, {
+        auth: credentials,
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("keeps the current email until the change is confirmed", async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, validRequest, { auth: credentials });
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+  });
+
+  it("sends the confirmation token to the new email address", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    expect(lastRecipients).toEqual(["new-user1@mail.com"]);
+    expect(lastMail).toContain(emailChange.confirmationToken);
+  });
+
+  it("replaces a pending change with the latest request", async () => {
+    const user = await addUser();
+    await postEmailChange(user.id, validRequest, { auth: credentials });
+    await postEmailChange(
+      user.id,
+      { ...validRequest, email: "other-user1@mail.com" },
+      { auth: credentials },
+    );
+    const pending = await EmailChange.findAll({ where: { userId: user.id } });
+    expect(pending.length).toBe(1);
+    expect(pending[0].email).toBe("other-user1@mail.com");
+  });
+
+  it("returns 502 Bad Gateway when sending email fails", async () => {
+    simulateSmtpFailure = true;
+    const user = await addUser();
+    const response = await postEmailChange(user.id, validRequest, {
+      auth: credentials,
+    });
+    expect(response.status).toBe(502);
+  });
+
+  it("does not save the change when sending email fails", async () => {
+    simulateSmtpFailure = true;
+    const user = await addUser();
+    await postEmailChange(user.id, validRequest, { auth: credentials });
+    const count = await EmailChange.count();
+    expect(count).toBe(0);
+  });
+
+  it.each`
+    language | field         | value               | message
+    ${"tr"}  | ${"email"}    | ${null}             | ${tr.email_null}
+    ${"tr"}  | ${"email"}    | ${"mail.com"}       | ${tr.email_invalid}
+    ${"tr"}  | ${"email"}    | ${"user2@mail.com"} | ${tr.email_inuse}
+    ${"tr"}  | ${"email"}    | ${"USER1@mail.com"} | ${tr.email_inuse}
+    ${"tr"}  | ${"password"} | ${null}             | ${tr.password_null}
+    ${"tr"}  | ${"password"} | ${"Wr0ngPassword"}  | ${tr.current_password_incorrect}
+    ${"en"}  | ${"email"}    | ${null}             | ${en.email_null}
+    ${"en"}  | ${"email"}    | ${"mail.com"}       | ${en.email_invalid}
+    ${"en"}  | ${"email"}    | ${"user2@mail.com"} | ${en.email_inuse}
+    ${"en"}  | ${"email"}    | ${"USER1@mail.com"} | ${en.email_inuse}
+    ${"en"}  | ${"password"} | ${null}             | ${en.password_null}
+    ${"en"}  | ${"password"} | ${"Wr0ngPassword"}  | ${en.current_password_incorrect}
+  `(
+    "returns $message when $field is $value and language is $language",
+    async ({ language, field, value, message }) => {
+      const user = await addUser();
+      await addUser(2);
+      const body = { ...validRequest, [field]: value };
+      const response = await postEmailChange(user.id, body, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(message);
+    },
+  );
+
+  it("does not send email when the current password is incorrect", async () => {
+    const user = await addUser();
+    await postEmailChange(
+      user.id,
+      { ...validRequest, password: "Wr0ngPassword" },
+      { auth: credentials },
+    );
+    expect(lastMail).toBeUndefined();
+  });
+});
+
+describe("Email Change Confirmation", () => {
+  it("applies the new email when the token is confirmed", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    const response = await postConfirm(emailChange.confirmationToken);
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user.email).toBe("new-user1@mail.com");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_change_success}
+    ${"en"}  | ${en.email_change_success}
+  `(
+    "returns $message after confirmation when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const emailChange = await requestChange(user);
+      const response = await postConfirm(emailChange.confirmationToken, {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("sends a notice with the revert token to the old email address", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    expect(lastRecipients).toEqual(["user1@mail.com"]);
+    expect(lastMail).toContain(emailChange.revertToken);
+  });
+
+  it("lets user authenticate with the new email after confirmation", async () => {
+    const user = await addUser();
+    await confirmChange(user);
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send({ email: "new-user1@mail.com", password: "P@ssw0rd" });
+    expect(response.status).toBe(200);
+  });
+
+  it("does not accept the same confirmation token twice", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    const token = emailChange.confirmationToken;
+    await postConfirm(token);
+    const response = await postConfirm(token);
+    expect(response.status).toBe(400);
+  });
+
+  it("returns 400 when the confirmation token is expired", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    emailChange.confirmationExpiresAt = Date.now() - 1000;
+    await emailChange.save();
+    const response = await postConfirm(emailChange.confirmationToken);
+    expect(response.status).toBe(400);
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_change_token_invalid}
+    ${"en"}  | ${en.email_change_token_invalid}
+  `(
+    "returns $message for an invalid token when language is $language",
+    async ({ language, message }) => {
+      const response = await postConfirm("abcd", { language });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 400 when the new email is taken while the change is pending", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    await User.create({
+      username: "user2",
+      email: "new-user1@mail.com",
+      password: "P@ssw0rd",
+    });
+    const response = await postConfirm(emailChange.confirmationToken);
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe(en.email_inuse);
+  });
+
+  it("returns 502 and keeps the current email when sending the notice fails", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    simulateSmtpFailure = true;
+    const response = await postConfirm(emailChange.confirmationToken);
+    expect(response.status).toBe(502);
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+  });
+});
+
+describe("Email Change Revert", () => {
+  it("restores the previous email when the revert token is used", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    const response = await postRevert(emailChange.revertToken);
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_revert_success}
+    ${"en"}  | ${en.email_revert_success}
+  `(
+    "returns $message after revert when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const emailChange = await confirmChange(user);
+      const response = await postRevert(emailChange.revertToken, {
+        language,
+      });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("clears all tokens of the user after revert", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    await request(app)
+      .post("/api/1.0/auth")
+      .send({ email: "new-user1@mail.com", password: "P@ssw0rd" });
+    await postRevert(emailChange.revertToken);
+    const count = await Token.count({ where: { userId: user.id } });
+    expect(count).toBe(0);
+  });
+
+  it("does not accept the same revert token twice", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    await postRevert(emailChange.revertToken);
+    const response = await postRevert(emailChange.revertToken);
+    expect(response.status).toBe(400);
+  });
+
+  it("returns 400 when the revert window is over", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    emailChange.revertExpiresAt = Date.now() - 1000;
+    await emailChange.save();
+    const response = await postRevert(emailChange.revertToken);
+    expect(response.status).toBe(400);
+    await user.reload();
+    expect(user.email).toBe("new-user1@mail.com");
+  });
+
+  it("reserves the previous email for registration during the revert window", async () => {
+    const user = await addUser();
+    await confirmChange(user);
+    const response = await request(app).post("/api/1.0/users").send({
+      username: "user2",
+      email: "user1@mail.com",
+      password: "P@ssw0rd",
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe(en.email_inuse);
+  });
+
+  it("reserves the previous email for email changes of other users", async () => {
+    const user = await addUser();
+    await confirmChange(user);
+    const other = await addUser(2);
+    const response = await postEmailChange(
+      other.id,
+      { email: "user1@mail.com", password: "P@ssw0rd" },
+      { auth: { email: "user2@mail.com", password: "P@ssw0rd" } },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.email).toBe(en.email_inuse);
+  });
+
+  it("restores the previous email after another change request for it", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    const other = await addUser(2);
+    await EmailChange.create({
+      email: "user1@mail.com",
+      confirmationToken: "other-token",
+      confirmationExpiresAt: Date.now() + 1000 * 60,
+      userId: other.id,
+    });
+    const confirmResponse = await postConfirm("other-token");
+    expect(confirmResponse.status).toBe(400);
+    const response = await postRevert(emailChange.revertToken);
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+  });
+
+  it("releases the previous email once the revert window is over", async () => {
+    const user = await addUser();
+    const emailChange = await confirmChange(user);
+    emailChange.revertExpiresAt = Date.now() - 1000;
+    await emailChange.save();
+    const response = await request(app).post("/api/1.0/users").send({
+      username: "user2",
+      email: "user1@mail.com",
+      password: "P@ssw0rd",
+    });
+    expect(response.status).toBe(200);
+  });
+
+  it("does not accept a confirmation token for revert", async () => {
+    const user = await addUser();
+    const emailChange = await requestChange(user);
+    const response = await postRevert(emailChange.confirmationToken);
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_revert_token_invalid}
+    ${"en"}  | ${en.email_revert_token_invalid}
+  `(
+    "returns $message for an invalid token when language is $language",
+    async ({ language, message }) => {
+      const response = await postRevert("abcd", { language });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
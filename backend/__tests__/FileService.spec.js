@@ -1,9 +1,18 @@
 const FileService = require("../src/file/FileService");
+const FileAttachment = require("../src/file/FileAttachment");
+const Hoax = require("../src/hoax/Hoax");
+const User = require("../src/user/User");
+const sequelize = require("../src/config/database");
 const fs = require("fs");
 const path = require("path");
 const config = require("config");
 
-const { uploadDir, profileDir } = config;
+const { uploadDir, profileDir, attachmentDir } = config;
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
 
 describe("createFolders", () => {
   it("creates upload folder", async () => {
@@ -18,3 +27,74 @@ describe("createFolders", () => {
     expect(fs.existsSync(profileFolder)).toBe(true);
   });
 });
+
+describe("Scheduled unused attachment cleanup", () => {
+  const filename = "test-file" + Date.now();
+  const testFile = path.join(".", "__tests__", "resources", "test-png.png");
+  const targetPath = path.join(attachmentFolder, filename);
+
+  beforeEach(async () => {
+    await FileAttachment.destroy({ truncate: true });
+    await User.destroy({ truncate: { cascade: true } });
+    FileService.createFolders();
+    fs.copyFileSync(testFile, targetPath);
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(targetPath)) {
+      fs.unlinkSync(targetPath);
+    }
+  });
+
+  it("creates attachment folder under upload folder", () => {
+    expect(fs.existsSync(attachmentFolder)).toBe(true);
+  });
+
+  it("removes the 24 hours old attachment which is not linked to a hoax", async () => {
+    const uploadDate = new Date(Date.now() - 24 * 60 * 60 * 1000 - 1);
+    const attachment = await FileAttachment.create({ filename, uploadDate });
+    await FileService.removeUnusedAttachments();
+    const attachmentAfterRemove = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentAfterRemove).toBeNull();
+    expect(fs.existsSync(targetPath)).toBe(false);
+  });
+
+  it("keeps the attachment which is uploaded in the last 24 hours", async () => {
+    const attachment = await FileAttachment.create({
+      filename,
+      uploadDate: new Date(),
+    });
+    await FileService.removeUnusedAttachments();
+    const attachmentAfterRemove = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentAfterRemove).not.toBeNull();
+    expect(fs.existsSync(targetPath)).toBe(true);
+  });
+
+  it("keeps the old attachment which is linked to a hoax", async () => {
+    const user = await User.create({
+      username: "user1",
+      email: "user1@mail.com",
+    });
+    const hoax = await Hoax.create({
+      content: "hoax content",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const uploadDate = new Date(Date.now() - 24 * 60 * 60 * 1000 - 1);
+    const attachment = await FileAttachment.create({
+      filename,
+      uploadDate,
+      hoaxId: hoax.id,
+    });
+    await FileService.removeUnusedAttachments();
+    const attachmentAfterRemove = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentAfterRemove).not.toBeNull();
+    expect(fs.existsSync(targetPath)).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const FileAttachment = require("../src/file/FileAttachment");
+const FileService = require("../src/file/FileService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const fs = require("fs");
+const path = require("path");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+const { uploadDir, attachmentDir } = config;
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async () => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: "user1",
+    email: "user1@mail.com",
+    password: hash,
+    inactive: false,
+  });
+};
+
+const uploadFile = async (file = "test-png.png", options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+  const agent = request(app).post("/api/1.0/hoaxes/attachments");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  if (options.buffer) {
+    return agent.attach("file", options.buffer, "big-file");
+  }
+  return agent.attach("file", path.join(".", "__tests__", "resources", file));
+};
+
+describe("Upload File for Hoax", () => {
+  it("returns 401 when upload request has no authentication", async () => {
+    const response = await uploadFile();
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_attachment_upload}
+    ${"en"}  | ${en.unauthroized_attachment_upload}
+  `(
+    "returns $message for unauthenticated upload when language is $language",
+    async ({ language, message }) => {
+      const response = await uploadFile("test-png.png", { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 200 ok after successful upload", async () => {
+    await addUser();
+    const response = await uploadFile("test-png.png", { auth: credentials });
+    expect(response.status).toBe(200);
+  });
+
+  it("saves attachment with file type and upload date in database", async () => {
+    await addUser();
+    const beforeSubmit = Date.now();
+    await uploadFile("test-png.png", { auth: credentials });
+    const attachments = await FileAttachment.findAll();
+    expect(attachments.length).toBe(1);
+    expect(attachments[0].fileType).toBe("image/png");
+    expect(attachments[0].uploadDate.getTime()).toBeGreaterThanOrEqual(
+      beforeSubmit,
+    );
+  });
+
+  it("saves the uploader of the attachment", async () => {
+    const user = await addUser();
+    await uploadFile("test-png.png", { auth: credentials });
+    const attachment = await FileAttachment.findOne();
+    expect(attachment.userId).toBe(user.id);
+  });
+
+  it("saves file to attachment folder", async () => {
+    await addUser();
+    await uploadFile("test-png.png", { auth: credentials });
+    const attachment = await FileAttachment.findOne();
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+
+  it("returns attachment id in response", async () => {
+    await addUser();
+    const response = await uploadFile("test-png.png", { auth: credentials });
+    const attachment = await FileAttachment.findOne();
+    expect(response.body).toEqual({ id: attachment.id });
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unsupported_attachment_file}
+    ${"en"}  | ${en.unsupported_attachment_file}
+  `(
+    "returns 400 with $message when file type is not supported and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await uploadFile("test-txt.txt", {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.file).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.attachment_size}
+    ${"en"}  | ${en.attachment_size}
+  `(
+    "returns 400 with $message when file exceeds the size limit and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await uploadFile(null, {
+        auth: credentials,
+        language,
+        buffer: Buffer.alloc(config.attachmentSizeLimit + 1),
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.file).toBe(message);
+    },
+  );
+
+  it("does not save unsupported file", async () => {
+    await addUser();
+    await uploadFile("test-txt.txt", { auth: credentials });
+    const count = await FileAttachment.count();
+    expect(count).toBe(0);
+  });
+
+  it("returns an error response when saving the file fails", async () => {
+    await addUser();
+    jest
+      .spyOn(FileService, "saveAttachment")
+      .mockRejectedValueOnce(new Error("disk full"));
+    const response = await uploadFile("test-png.png", { auth: credentials });
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,268 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Follow = require("../src/follow/Follow");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, inactive = false) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive,
+  });
+};
+
+const addHoax = async (userId) => {
+  return await Hoax.create({
+    content: `Hoax of user ${userId}`,
+    timestamp: Date.now(),
+    userId,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const follow = async (id, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/users/${id}/follow`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe("Follow User", () => {
+  it("returns 401 when request has no authentication", async () => {
+    const response = await follow(5);
+    expect(response.status).toBe(401);
+  });
+
+  it("saves the follow relationship when user follows another active user", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const response = await follow(otherUser.id, { auth: credentials });
+    expect(response.status).toBe(200);
+    const follows = await Follow.findAll();
+    expect(follows.length).toBe(1);
+    expect(follows[0].followerId).toBe(user.id);
+    expect(follows[0].followingId).toBe(otherUser.id);
+  });
+
+  it("does not duplicate the relationship when user follows the same user twice", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    await follow(otherUser.id, { auth: credentials });
+    await follow(otherUser.id, { auth: credentials });
+    const count = await Follow.count();
+    expect(count).toBe(1);
+  });
+
+  it("returns 404 when followed user does not exist", async () => {
+    await addUser();
+    const response = await follow(5000, { auth: credentials });
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.follow_self}
+    ${"en"}  | ${en.follow_self}
+  `(
+    "returns 400 with $message when user follows themselves and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const response = await follow(user.id, { auth: credentials, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.follow_inactive_user}
+    ${"en"}  | ${en.follow_inactive_user}
+  `(
+    "returns 400 with $message when followed user is inactive and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const inactiveUser = await addUser(2, true);
+      const response = await follow(inactiveUser.id, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+});
+
+describe("Unfollow User", () => {
+  it("removes the follow relationship", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: otherUser.id });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .delete(`/api/1.0/users/${otherUser.id}/follow`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+});
+
+describe("Follower and Following Lists", () => {
+  it("returns followers of the user in page object", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await Follow.create({ followerId: otherUser.id, followingId: user.id });
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/followers`,
+    );
+    expect(response.body).toEqual({
+      content: [{ id: otherUser.id, username: "user2", image: null }],
+      page: 0,
+      size: 10,
+      totalPages: 1,
+    });
+  });
+
+  it("returns followed users of the user in page object", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: otherUser.id });
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/following`,
+    );
+    expect(response.body.content).toEqual([
+      { id: otherUser.id, username: "user2", image: null },
+    ]);
+  });
+
+  it("returns 404 for follower list of unknown user", async () => {
+    const response = await request(app).get(`/api/1.0/users/5/followers`);
+    expect(response.status).toBe(404);
+  });
+
+  it("returns follower and following counts in user payload", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const thirdUser = await addUser(3);
+    await Follow.create({ followerId: otherUser.id, followingId: user.id });
+    await Follow.create({ followerId: thirdUser.id, followingId: user.id });
+    await Follow.create({ followerId: user.id, followingId: otherUser.id });
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.followerCount).toBe(2);
+    expect(response.body.followingCount).toBe(1);
+  });
+
+  it("leaves inactive users out of follower and following counts", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const inactiveUser = await addUser(3, true);
+    await Follow.create({ followerId: otherUser.id, followingId: user.id });
+    await Follow.create({ followerId: inactiveUser.id, followingId: user.id });
+    await Follow.create({ followerId: user.id, followingId: inactiveUser.id });
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.followerCount).toBe(1);
+    expect(response.body.followingCount).toBe(0);
+  });
+
+  it("removes follow relationships when user is deleted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: otherUser.id });
+    await Follow.create({ followerId: otherUser.id, followingId: user.id });
+    await User.destroy({ where: { id: user.id } });
+    const count = await Follow.count();
+    expect(count).toBe(0);
+  });
+});
+
+describe("Timeline", () => {
+  const getTimeline = async (cursor, options = {}) => {
+    const token = await auth(options);
+    const path = cursor ? `/api/1.0/timeline/${cursor}` : "/api/1.0/timeline";
+    const agent = request(app).get(path);
+    if (token) {
+      agent.set("Authorization", `Bearer ${token}`);
+    }
+    return agent.query(options.query || {});
+  };
+
+  it("returns 401 when request has no authentication", async () => {
+    const response = await getTimeline();
+    expect(response.status).toBe(401);
+  });
+
+  it("returns hoaxes of followed users and own hoaxes only", async () => {
+    const user = await addUser();
+    const followed = await addUser(2);
+    const notFollowed = await addUser(3);
+    await Follow.create({ followerId: user.id, followingId: followed.id });
+    await addHoax(user.id);
+    await addHoax(followed.id);
+    await addHoax(notFollowed.id);
+    const response = await getTimeline(null, { auth: credentials });
+    const userIds = response.body.content.map((hoax) => hoax.user.id);
+    expect(userIds).toEqual([followed.id, user.id]);
+  });
+
+  it("returns older timeline hoaxes than the cursor", async () => {
+    const user = await addUser();
+    const followed = await addUser(2);
+    await Follow.create({ followerId: user.id, followingId: followed.id });
+    const first = await addHoax(followed.id);
+    const second = await addHoax(followed.id);
+    const third = await addHoax(followed.id);
+    const response = await getTimeline(third.id, { auth: credentials });
+    expect(response.body.content.map((hoax) => hoax.id)).toEqual([
+      second.id,
+      first.id,
+    ]);
+  });
+
+  it("returns count of newer timeline hoaxes than the cursor", async () => {
+    const user = await addUser();
+    const followed = await addUser(2);
+    const notFollowed = await addUser(3);
+    await Follow.create({ followerId: user.id, followingId: followed.id });
+    const first = await addHoax(followed.id);
+    await addHoax(notFollowed.id);
+    await addHoax(followed.id);
+    const response = await getTimeline(first.id, {
+      auth: credentials,
+      query: { direction: "after", count: true },
+    });
+    expect(response.body).toEqual({ count: 1 });
+  });
+});
@@ -0,0 +1,254 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const FileAttachment = require("../src/file/FileAttachment");
+const UserService = require("../src/user/UserService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const fs = require("fs");
+const path = require("path");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+const { uploadDir, profileDir, attachmentDir } = config;
+const profileFolder = path.join(".", uploadDir, profileDir);
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: "user1",
+  email: "user1@mail.com",
+  password: "P@ssw0rd",
+  inactive: false,
+};
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+
+  return await User.create(user);
+};
+
+const addHoax = async (userId, fields = {}) => {
+  return await Hoax.create({
+    content: "Hoax for user",
+    timestamp: Date.now(),
+    userId,
+    ...fields,
+  });
+};
+
+const addOtherUser = () =>
+  addUser({ ...activeUser, username: "user2", email: "user2@mail.com" });
+
+const fileExists = (attachment) =>
+  fs.existsSync(path.join(attachmentFolder, attachment.filename));
+
+const addFileAttachment = async (hoaxId) => {
+  const filename = "test-file-hoax-delete" + Date.now() + "-" + hoaxId;
+  const filePath = path.join(".", "__tests__", "resources", "test-png.png");
+  fs.copyFileSync(filePath, path.join(attachmentFolder, filename));
+  return await FileAttachment.create({
+    filename,
+    fileType: "image/png",
+    uploadDate: new Date(),
+    hoaxId,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const deleteHoax = (id = 5, options = {}) => {
+  const agent = request(app).delete(`/api/1.0/hoaxes/${id}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (options.token) {
+    agent.set("Authorization", `Bearer ${options.token}`);
+  }
+  return agent.send();
+};
+
+describe("Delete Hoax", () => {
+  it("returns 403 when request is unauthorized", async () => {
+    const response = await deleteHoax();
+    expect(response.status).toBe(403);
+  });
+
+  it("returns 403 when token is invalid", async () => {
+    const response = await deleteHoax(5, { token: "abcde" });
+    expect(response.status).toBe(403);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_delete}
+    ${"en"}  | ${en.unauthroized_hoax_delete}
+  `(
+    "returns error body with $message for unauthorized request when language is $language",
+    async ({ language, message }) => {
+      const nowInMillis = Date.now();
+      const response = await deleteHoax(5, { language });
+      expect(response.body.path).toBe("/api/1.0/hoaxes/5");
+      expect(response.body.timestamp).toBeGreaterThan(nowInMillis);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 403 when user tries to delete another user's hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await addUser({
+      ...activeUser,
+      username: "user2",
+      email: "user2@mail.com",
+    });
+    const token = await auth({
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    const response = await deleteHoax(hoax.id, { token });
+    expect(response.status).toBe(403);
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB).not.toBeNull();
+  });
+
+  it("returns 200 ok when user deletes their hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const token = await auth({ auth: credentials });
+    const response = await deleteHoax(hoax.id, { token });
+    expect(response.status).toBe(200);
+  });
+
+  it("removes the hoax from database when user deletes their hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const token = await auth({ auth: credentials });
+    await deleteHoax(hoax.id, { token });
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB).toBeNull();
+  });
+
+  it("removes the fileAttachment from database and storage when user deletes their hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const attachment = await addFileAttachment(hoax.id);
+    const token = await auth({ auth: credentials });
+    await deleteHoax(hoax.id, { token });
+    const attachmentInDB = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentInDB).toBeNull();
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("removes attachment files of reposts and their replies when user deletes their hoax", async () => {
+    const user = await addUser();
+    const otherUser = await addOtherUser();
+    const hoax = await addHoax(user.id);
+    const quote = await addHoax(otherUser.id, { repostOfId: hoax.id });
+    const reply = await addHoax(otherUser.id, { parentId: quote.id });
+    const quoteAttachment = await addFileAttachment(quote.id);
+    const replyAttachment = await addFileAttachment(reply.id);
+    const token = await auth({ auth: credentials });
+    await deleteHoax(hoax.id, { token });
+    expect(fileExists(quoteAttachment)).toBe(false);
+    expect(fileExists(replyAttachment)).toBe(false);
+  });
+
+  it("removes attachment files of reposts when the hoax is kept as a placeholder", async () => {
+    const user = await addUser();
+    const otherUser = await addOtherUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(otherUser.id, { parentId: hoax.id });
+    const quote = await addHoax(otherUser.id, { repostOfId: hoax.id });
+    const replyAttachment = await addFileAttachment(reply.id);
+    const quoteAttachment = await addFileAttachment(quote.id);
+    const token = await auth({ auth: credentials });
+    await deleteHoax(hoax.id, { token });
+    expect(fileExists(quoteAttachment)).toBe(false);
+    expect(fileExists(replyAttachment)).toBe(true);
+  });
+});
+
+describe("Delete User Cascade", () => {
+  it("removes hoaxes of the user when user is deleted", async () => {
+    const user = await addUser();
+    await addHoax(user.id);
+    await UserService.deleteUser(user.id);
+    const count = await Hoax.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes attachments of the user's hoaxes from database and storage when user is deleted", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const attachment = await addFileAttachment(hoax.id);
+    await UserService.deleteUser(user.id);
+    const attachmentInDB = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentInDB).toBeNull();
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it("removes attachment files of reposts of the user's hoaxes when user is deleted", async () => {
+    const user = await addUser();
+    const otherUser = await addOtherUser();
+    const hoax = await addHoax(user.id);
+    const quote = await addHoax(otherUser.id, { repostOfId: hoax.id });
+    const attachment = await addFileAttachment(quote.id);
+    await UserService.deleteUser(user.id);
+    expect(await Hoax.count()).toBe(0);
+    expect(fileExists(attachment)).toBe(false);
+  });
+
+  it("removes profile image of the user from storage when user is deleted", async () => {
+    const image = "test-file-user-delete" + Date.now();
+    const filePath = path.join(".", "__tests__", "resources", "test-png.png");
+    fs.copyFileSync(filePath, path.join(profileFolder, image));
+    const user = await addUser({ ...activeUser, image });
+    await UserService.deleteUser(user.id);
+    expect(fs.existsSync(path.join(profileFolder, image))).toBe(false);
+  });
+
+  it("keeps hoaxes and attachments of other users when user is deleted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser({
+      ...activeUser,
+      username: "user2",
+      email: "user2@mail.com",
+    });
+    const hoax = await addHoax(otherUser.id);
+    const attachment = await addFileAttachment(hoax.id);
+    await UserService.deleteUser(user.id);
+    const count = await Hoax.count();
+    expect(count).toBe(1);
+    const filePath = path.join(attachmentFolder, attachment.filename);
+    expect(fs.existsSync(filePath)).toBe(true);
+  });
+});
@@ -0,0 +1,219 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Mention = require("../src/hoax/Mention");
+const Tag = require("../src/tag/Tag");
+const Notification = require("../src/notification/Notification");
+const Follow = require("../src/follow/Follow");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const { parseEntities } = require("../src/shared/entities");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await Tag.destroy({ truncate: { cascade: true } });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, inactive = false) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postHoax = async (content, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post("/api/1.0/hoaxes");
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send({ content, ...options.body });
+};
+
+describe("Parsing Entities", () => {
+  it("returns hashtags and mentions with their offsets", () => {
+    const content = "Hello @user2, see #Node and #tdd";
+    expect(parseEntities(content)).toEqual([
+      { type: "mention", start: 6, end: 12, value: "user2" },
+      { type: "hashtag", start: 18, end: 23, value: "Node" },
+      { type: "hashtag", start: 28, end: 32, value: "tdd" },
+    ]);
+  });
+
+  it("does not take email addresses or url fragments as entities", () => {
+    const content = "mail user1@mail.com or visit page.html#section";
+    expect(parseEntities(content)).toEqual([]);
+  });
+
+  it("does not include trailing punctuation in mentions", () => {
+    const content = "thanks @user.name.";
+    expect(parseEntities(content)[0].value).toBe("user.name");
+  });
+});
+
+describe("Saving Entities", () => {
+  it("saves hashtags of the hoax in lowercase", async () => {
+    await addUser();
+    await postHoax("Testing #Node with #TDD #node", { auth: credentials });
+    const tags = await Tag.findAll({ order: [["name", "ASC"]] });
+    expect(tags.map((tag) => tag.name)).toEqual(["node", "tdd"]);
+  });
+
+  it("saves mentions resolved against active usernames", async () => {
+    await addUser();
+    const mentioned = await addUser(2);
+    await addUser(3, true);
+    await postHoax("Hello @user2 and @user3 and @unknown", {
+      auth: credentials,
+    });
+    const mentions = await Mention.findAll();
+    expect(mentions.length).toBe(1);
+    expect(mentions[0].userId).toBe(mentioned.id);
+  });
+
+  it("creates a mention notification for the mentioned user", async () => {
+    const user = await addUser();
+    const mentioned = await addUser(2);
+    await postHoax("Hello @user2 and @user1", { auth: credentials });
+    const notifications = await Notification.findAll();
+    expect(notifications.length).toBe(1);
+    expect(notifications[0].type).toBe("mention");
+    expect(notifications[0].userId).toBe(mentioned.id);
+    expect(notifications[0].actorId).toBe(user.id);
+  });
+
+  it("does not notify mentioned users who cannot see a followers-only hoax", async () => {
+    const user = await addUser();
+    const follower = await addUser(2);
+    await addUser(3);
+    await Follow.create({
+      followerId: follower.id,
+      followingId: user.id,
+    });
+    await postHoax("Hello @user2 and @user3", {
+      auth: credentials,
+      body: { visibility: "followers" },
+    });
+    const notifications = await Notification.findAll();
+    expect(notifications.map((n) => n.userId)).toEqual([follower.id]);
+  });
+
+  it("notifies users mentioned in a mentioned-only hoax", async () => {
+    await addUser();
+    const mentioned = await addUser(2);
+    await postHoax("Hello @user2", {
+      auth: credentials,
+      body: { visibility: "mentioned" },
+    });
+    const notifications = await Notification.findAll();
+    expect(notifications.map((n) => n.userId)).toEqual([mentioned.id]);
+  });
+
+  it("does not notify mentioned users who do not follow a private account", async () => {
+    const user = await addUser();
+    await user.update({ private: true });
+    const follower = await addUser(2);
+    await addUser(3);
+    await Follow.create({ followerId: follower.id, followingId: user.id });
+    await postHoax("Hello @user2 and @user3", { auth: credentials });
+    const notifications = await Notification.findAll();
+    expect(notifications.map((n) => n.userId)).toEqual([follower.id]);
+  });
+
+  it("returns notifications of the authenticated user", async () => {
+    await addUser();
+    await addUser(2);
+    await postHoax("Hello @user2 from user1", { auth: credentials });
+    const token = await auth({
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    const response = await request(app)
+      .get("/api/1.0/notifications")
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].actor.username).toBe("user1");
+  });
+
+  it("returns 401 for notifications request without authentication", async () => {
+    const response = await request(app).get("/api/1.0/notifications");
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("Entities in Response", () => {
+  it("returns hashtag and resolved mention offsets with the hoax", async () => {
+    await addUser();
+    const mentioned = await addUser(2);
+    await postHoax("Hi @user2 and @nobody #tdd", { auth: credentials });
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content[0].entities).toEqual([
+      {
+        type: "mention",
+        start: 3,
+        end: 9,
+        value: "user2",
+        userId: mentioned.id,
+      },
+      { type: "hashtag", start: 22, end: 26, value: "tdd" },
+    ]);
+  });
+});
+
+describe("Listing Hoaxes of a Tag", () => {
+  it("returns hoaxes having the tag in page object, case insensitive", async () => {
+    await addUser();
+    await postHoax("First one with #TDD", { auth: credentials });
+    await postHoax("Second one without tag", { auth: credentials });
+    await postHoax("Third one with #tdd", { auth: credentials });
+    const response = await request(app).get("/api/1.0/tags/Tdd/hoaxes");
+    expect(response.body.content.map((hoax) => hoax.content)).toEqual([
+      "Third one with #tdd",
+      "First one with #TDD",
+    ]);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("returns empty page for unknown tag", async () => {
+    const response = await request(app).get("/api/1.0/tags/unknown/hoaxes");
+    expect(response.body).toEqual({
+      content: [],
+      page: 0,
+      size: 10,
+      totalPages: 0,
+    });
+  });
+
+  it("removes the hoax from tag listing when hoax is deleted", async () => {
+    await addUser();
+    await postHoax("Hoax with #tdd tag", { auth: credentials });
+    const hoax = await Hoax.findOne();
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    const response = await request(app).get("/api/1.0/tags/tdd/hoaxes");
+    expect(response.body.content.length).toBe(0);
+  });
+});
@@ -0,0 +1,323 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const FileAttachment = require("../src/file/FileAttachment");
+const sequelize = require("../src/config/database");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const addUser = async (index = 1, inactive = false) => {
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    inactive,
+  });
+};
+
+const addHoaxes = async (count, user) => {
+  if (!user) {
+    user = await addUser();
+  }
+  for (let i = 0; i < count; i++) {
+    await Hoax.create({
+      content: `hoax content ${i + 1}`,
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+  }
+};
+
+describe("Listing All Hoaxes", () => {
+  const getHoaxes = () => {
+    return request(app).get("/api/1.0/hoaxes");
+  };
+
+  it("returns 200 ok when there are no hoax in database", async () => {
+    const response = await getHoaxes();
+    expect(response.status).toBe(200);
+  });
+
+  it("returns page object as response body", async () => {
+    const response = await getHoaxes();
+    expect(response.body).toEqual({
+      content: [],
+      page: 0,
+      size: 10,
+      totalPages: 0,
+    });
+  });
+
+  it("returns 10 hoaxes in page content when there are 11 hoaxes in database", async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    expect(response.body.content.length).toBe(10);
+    expect(response.body.totalPages).toBe(2);
+  });
+
+  it("returns only id, content, timestamp, user object having id, username and image, replyCount, repostCount, reactions and entities in content array", async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    const hoax = response.body.content[0];
+    expect(Object.keys(hoax)).toEqual([
+      "id",
+      "content",
+      "timestamp",
+      "visibility",
+      "sensitive",
+      "user",
+      "edited",
+      "replyCount",
+      "repostCount",
+      "reactionCounts",
+      "ownReaction",
+      "entities",
+    ]);
+    expect(Object.keys(hoax.user)).toEqual(["id", "username", "image"]);
+  });
+
+  it("returns fileAttachment having filename and fileType when hoax has attachment", async () => {
+    await addHoaxes(1);
+    const hoax = await Hoax.findOne();
+    await FileAttachment.create({
+      filename: "test-file",
+      fileType: "image/png",
+      uploadDate: new Date(),
+      hoaxId: hoax.id,
+    });
+    const response = await getHoaxes();
+    const hoaxInResponse = response.body.content[0];
+    expect(hoaxInResponse.fileAttachment).toEqual({
+      filename: "test-file",
+      fileType: "image/png",
+    });
+  });
+
+  it("returns hoaxes ordered from newest to oldest", async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes();
+    const firstHoax = response.body.content[0];
+    const lastHoax = response.body.content[9];
+    expect(firstHoax.id).toBeGreaterThan(lastHoax.id);
+    expect(firstHoax.content).toBe("hoax content 11");
+  });
+
+  it("returns second page hoaxes and page indicator when page is set as 1 in request parameter", async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes().query({ page: 1 });
+    expect(response.body.content[0].content).toBe("hoax content 1");
+    expect(response.body.page).toBe(1);
+  });
+
+  it("returns 5 hoaxes and corresponding size indicator when size is set as 5 in request parameter", async () => {
+    await addHoaxes(11);
+    const response = await getHoaxes().query({ size: 5 });
+    expect(response.body.content.length).toBe(5);
+    expect(response.body.size).toBe(5);
+  });
+});
+
+describe("Listing Hoaxes of a User", () => {
+  const getHoaxes = (id) => {
+    return request(app).get(`/api/1.0/users/${id}/hoaxes`);
+  };
+
+  it("returns 200 ok when there are no hoax in database", async () => {
+    const user = await addUser();
+    const response = await getHoaxes(user.id);
+    expect(response.status).toBe(200);
+  });
+
+  it("returns 404 when user does not exist", async () => {
+    const response = await getHoaxes(5);
+    expect(response.status).toBe(404);
+  });
+
+  it("returns 404 when user is inactive", async () => {
+    const user = await addUser(1, true);
+    const response = await getHoaxes(user.id);
+    expect(response.status).toBe(404);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.user_not_found}
+    ${"en"}  | ${en.user_not_found}
+  `(
+    "returns error object with $message for unknown user when language is $language",
+    async ({ language, message }) => {
+      const nowInMillis = Date.now();
+      const response = await getHoaxes(5).set("Accept-Language", language);
+      const error = response.body;
+      expect(error.message).toBe(message);
+      expect(error.path).toBe("/api/1.0/users/5/hoaxes");
+      expect(error.timestamp).toBeGreaterThan(nowInMillis);
+    },
+  );
+
+  it("returns page object as response body", async () => {
+    const user = await addUser();
+    const response = await getHoaxes(user.id);
+    expect(response.body).toEqual({
+      content: [],
+      page: 0,
+      size: 10,
+      totalPages: 0,
+    });
+  });
+
+  it("returns only the hoaxes of the requested user", async () => {
+    const user = await addUser();
+    await addHoaxes(5, user);
+    const otherUser = await addUser(2);
+    await addHoaxes(11, otherUser);
+    const response = await getHoaxes(user.id);
+    expect(response.body.content.length).toBe(5);
+    expect(response.body.totalPages).toBe(1);
+    response.body.content.forEach((hoax) => {
+      expect(hoax.user.id).toBe(user.id);
+    });
+  });
+
+  it("returns hoaxes ordered from newest to oldest", async () => {
+    const user = await addUser();
+    await addHoaxes(11, user);
+    const response = await getHoaxes(user.id);
+    expect(response.body.content[0].content).toBe("hoax content 11");
+    expect(response.body.content[0].id).toBeGreaterThan(
+      response.body.content[9].id,
+    );
+  });
+
+  it("returns second page hoaxes and page indicator when page is set as 1 in request parameter", async () => {
+    const user = await addUser();
+    await addHoaxes(11, user);
+    const response = await getHoaxes(user.id).query({ page: 1 });
+    expect(response.body.content[0].content).toBe("hoax content 1");
+    expect(response.body.page).toBe(1);
+  });
+});
+
+describe("Listing Hoaxes Around a Cursor", () => {
+  const getHoaxes = (cursor, userId) => {
+    const path = userId
+      ? `/api/1.0/users/${userId}/hoaxes/${cursor}`
+      : `/api/1.0/hoaxes/${cursor}`;
+    return request(app).get(path);
+  };
+
+  const addHoaxesAndGetIds = async (count, user) => {
+    await addHoaxes(count, user);
+    const hoaxes = await Hoax.findAll({ order: [["id", "ASC"]] });
+    return hoaxes.map((hoax) => hoax.id);
+  };
+
+  it("returns 400 when cursor is not a number", async () => {
+    const response = await getHoaxes("abc");
+    expect(response.status).toBe(400);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.cursor_invalid}
+    ${"en"}  | ${en.cursor_invalid}
+  `(
+    "returns $message for invalid cursor when language is $language",
+    async ({ language, message }) => {
+      const response = await getHoaxes("abc").set("Accept-Language", language);
+      expect(response.body.validationErrors.cursor).toBe(message);
+    },
+  );
+
+  it("returns older hoaxes than the cursor in page object ordered from newest to oldest", async () => {
+    const ids = await addHoaxesAndGetIds(15);
+    const response = await getHoaxes(ids[12]);
+    const content = response.body.content;
+    expect(content.length).toBe(10);
+    expect(content[0].id).toBe(ids[11]);
+    expect(content[9].id).toBe(ids[2]);
+    expect(response.body.page).toBe(0);
+    expect(response.body.size).toBe(10);
+    expect(response.body.totalPages).toBe(2);
+  });
+
+  it("returns totalPages 1 when the remaining older hoaxes fit in one page", async () => {
+    const ids = await addHoaxesAndGetIds(15);
+    const response = await getHoaxes(ids[5]);
+    expect(response.body.content.length).toBe(5);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("returns newer hoaxes than the cursor as array when direction is after", async () => {
+    const ids = await addHoaxesAndGetIds(5);
+    const response = await getHoaxes(ids[1]).query({ direction: "after" });
+    expect(response.body.map((hoax) => hoax.id)).toEqual([
+      ids[4],
+      ids[3],
+      ids[2],
+    ]);
+  });
+
+  it("returns the hoaxes right after the cursor when there are more new hoaxes than size", async () => {
+    const ids = await addHoaxesAndGetIds(8);
+    const response = await getHoaxes(ids[0]).query({
+      direction: "after",
+      size: 3,
+    });
+    expect(response.body.map((hoax) => hoax.id)).toEqual([
+      ids[3],
+      ids[2],
+      ids[1],
+    ]);
+  });
+
+  it("returns only the count of newer hoaxes when count is true", async () => {
+    const ids = await addHoaxesAndGetIds(5);
+    const response = await getHoaxes(ids[1]).query({
+      direction: "after",
+      count: true,
+    });
+    expect(response.body).toEqual({ count: 3 });
+  });
+
+  it("returns only the hoaxes of the user around the cursor for user hoax feed", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    await addHoaxes(3, user);
+    await addHoaxes(3, otherUser);
+    await addHoaxes(3, user);
+    const hoaxes = await Hoax.findAll({ order: [["id", "ASC"]] });
+    const response = await getHoaxes(hoaxes[8].id, user.id);
+    expect(response.body.content.length).toBe(5);
+    response.body.content.forEach((hoax) => {
+      expect(hoax.user.id).toBe(user.id);
+    });
+  });
+
+  it("returns count of newer hoaxes of the user for user hoax feed", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const ids = await addHoaxesAndGetIds(2, user);
+    await addHoaxes(3, otherUser);
+    await addHoaxes(2, user);
+    const response = await getHoaxes(ids[0], user.id).query({
+      direction: "after",
+      count: true,
+    });
+    expect(response.body).toEqual({ count: 3 });
+  });
+
+  it("returns 404 for cursor request of inactive user feed", async () => {
+    const user = await addUser(1, true);
+    const response = await getHoaxes(1, user.id);
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,271 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoaxes = async (userId, count, fields = {}) => {
+  const hoaxes = [];
+  for (let i = 0; i < count; i++) {
+    hoaxes.push(
+      await Hoax.create({
+        content: `hoax ${i + 1}`,
+        timestamp: Date.now(),
+        userId,
+        ...fields,
+      }),
+    );
+  }
+  return hoaxes;
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const pin = async (hoaxId, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/pin`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe("Pin Hoax", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_pin}
+    ${"en"}  | ${en.unauthroized_hoax_pin}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await pin(5, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_pin}
+    ${"en"}  | ${en.unauthroized_hoax_pin}
+  `(
+    "returns 403 with $message when pinning hoax of another user and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const otherUser = await addUser(2);
+      const [hoax] = await addHoaxes(otherUser.id, 1);
+      const response = await pin(hoax.id, { auth: credentials, language });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+      await hoax.reload();
+      expect(hoax.pinnedAt).toBeNull();
+    },
+  );
+
+  it("pins own hoax", async () => {
+    const user = await addUser();
+    const [hoax] = await addHoaxes(user.id, 1);
+    const response = await pin(hoax.id, { auth: credentials });
+    expect(response.status).toBe(200);
+    await hoax.reload();
+    expect(hoax.pinnedAt).not.toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.pin_limit}
+    ${"en"}  | ${en.pin_limit}
+  `(
+    "returns 400 with $message when pin limit is reached and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      await addHoaxes(user.id, config.pinLimit, { pinnedAt: Date.now() });
+      const [hoax] = await addHoaxes(user.id, 1);
+      const response = await pin(hoax.id, { auth: credentials, language });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it("unpins the hoax", async () => {
+    const user = await addUser();
+    const [hoax] = await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}/pin`)
+      .set("Authorization", `Bearer ${token}`);
+    await hoax.reload();
+    expect(hoax.pinnedAt).toBeNull();
+  });
+
+  it.each`
+    kind              | column          | content
+    ${"reply"}        | ${"parentId"}   | ${"reply content"}
+    ${"plain repost"} | ${"repostOfId"} | ${null}
+    ${"quote post"}   | ${"repostOfId"} | ${"quote content"}
+  `("returns 400 when pinning a $kind", async ({ column, content }) => {
+    const user = await addUser();
+    const [original] = await addHoaxes(user.id, 1);
+    const [hoax] = await addHoaxes(user.id, 1, {
+      content,
+      [column]: original.id,
+    });
+    for (const language of ["tr", "en"]) {
+      const response = await pin(hoax.id, { auth: credentials, language });
+      const translations = language === "tr" ? tr : en;
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(
+        translations.hoax_not_pinnable,
+      );
+    }
+    await hoax.reload();
+    expect(hoax.pinnedAt).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_pin}
+    ${"en"}  | ${en.unauthroized_hoax_pin}
+  `(
+    "returns 403 with $message when unpinning hoax of another user and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const otherUser = await addUser(2);
+      const [hoax] = await addHoaxes(otherUser.id, 1, {
+        pinnedAt: Date.now(),
+      });
+      const token = await auth({ auth: credentials });
+      const response = await request(app)
+        .delete(`/api/1.0/hoaxes/${hoax.id}/pin`)
+        .set("Authorization", `Bearer ${token}`)
+        .set("Accept-Language", language);
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+      await hoax.reload();
+      expect(hoax.pinnedAt).not.toBeNull();
+    },
+  );
+
+  it("returns 403 when unpinning a hoax which does not exist", async () => {
+    await addUser();
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .delete("/api/1.0/hoaxes/5/pin")
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(403);
+  });
+
+  it("clears the pin when pinned hoax is deleted but kept for its replies", async () => {
+    const user = await addUser();
+    const [hoax] = await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    await Hoax.create({
+      content: "reply content",
+      timestamp: Date.now(),
+      userId: user.id,
+      parentId: hoax.id,
+    });
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    await hoax.reload();
+    expect(hoax.pinnedAt).toBeNull();
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.pinnedHoaxes).toEqual([]);
+  });
+});
+
+describe("Pinned Hoaxes In Profile", () => {
+  it("includes pinned hoaxes in user response", async () => {
+    const user = await addUser();
+    await addHoaxes(user.id, 2);
+    const [pinned] = await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.pinnedHoaxes.map((hoax) => hoax.id)).toEqual([
+      pinned.id,
+    ]);
+    expect(response.body.pinnedHoaxes[0].pinned).toBe(true);
+  });
+
+  it("returns pinned hoaxes first in the first page of user feed", async () => {
+    const user = await addUser();
+    const [pinned] = await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    await addHoaxes(user.id, 2);
+    const response = await request(app).get(`/api/1.0/users/${user.id}/hoaxes`);
+    const content = response.body.content;
+    expect(content.map((hoax) => hoax.content)).toEqual([
+      "hoax 1",
+      "hoax 2",
+      "hoax 1",
+    ]);
+    expect(content[0].id).toBe(pinned.id);
+    expect(content[0].pinned).toBe(true);
+    expect(content[1].pinned).toBeUndefined();
+  });
+
+  it("does not repeat pinned hoaxes on later pages", async () => {
+    const user = await addUser();
+    await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    await addHoaxes(user.id, 3);
+    const response = await request(app)
+      .get(`/api/1.0/users/${user.id}/hoaxes`)
+      .query({ page: 1, size: 2 });
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].pinned).toBeUndefined();
+  });
+
+  it("does not repeat pinned hoaxes on older cursor pages", async () => {
+    const user = await addUser();
+    const [pinned] = await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    await addHoaxes(user.id, 2);
+    const response = await request(app).get(
+      `/api/1.0/users/${user.id}/hoaxes/${pinned.id + 3}`,
+    );
+    expect(response.body.content[0].pinned).toBeUndefined();
+  });
+
+  it("does not show pinned marker in the global feed", async () => {
+    const user = await addUser();
+    await addHoaxes(user.id, 1, { pinnedAt: Date.now() });
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].pinned).toBeUndefined();
+  });
+});
@@ -0,0 +1,288 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const UserService = require("../src/user/UserService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+  await Hoax.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: "user1",
+  email: "user1@mail.com",
+  password: "P@ssw0rd",
+  inactive: false,
+};
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+
+  return await User.create(user);
+};
+
+const addHoax = async (userId, parentId) => {
+  return await Hoax.create({
+    content: "Hoax content",
+    timestamp: Date.now(),
+    userId,
+    parentId,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postReply = async (hoaxId, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/replies`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const getReplies = (hoaxId) => {
+  return request(app).get(`/api/1.0/hoaxes/${hoaxId}/replies`);
+};
+
+describe("Post Reply", () => {
+  it("returns 401 when reply request has no authentication", async () => {
+    const response = await postReply(1, { content: "Reply content" });
+    expect(response.status).toBe(401);
+  });
+
+  it("saves the reply as a child of the hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await postReply(
+      hoax.id,
+      { content: "Reply content" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    const reply = await Hoax.findOne({ where: { parentId: hoax.id } });
+    expect(reply.content).toBe("Reply content");
+    expect(reply.userId).toBe(user.id);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_not_found}
+    ${"en"}  | ${en.hoax_not_found}
+  `(
+    "returns 404 with $message when hoax does not exist and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postReply(
+        5,
+        { content: "Reply content" },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 400 when reply content is invalid", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await postReply(
+      hoax.id,
+      { content: "short" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.content).toBe(en.hoax_content_size);
+  });
+});
+
+describe("Listing Replies", () => {
+  it("returns 404 when hoax does not exist", async () => {
+    const response = await getReplies(5);
+    expect(response.status).toBe(404);
+  });
+
+  it("returns direct replies in page object ordered from oldest to newest", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const firstReply = await addHoax(user.id, hoax.id);
+    const secondReply = await addHoax(user.id, hoax.id);
+    const response = await getReplies(hoax.id);
+    expect(response.body.content.map((reply) => reply.id)).toEqual([
+      firstReply.id,
+      secondReply.id,
+    ]);
+    expect(response.body.page).toBe(0);
+    expect(response.body.size).toBe(10);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("returns replyCount and nested replies of each reply", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(user.id, hoax.id);
+    const nestedReply = await addHoax(user.id, reply.id);
+    await addHoax(user.id, nestedReply.id);
+    const response = await getReplies(hoax.id);
+    const replyInResponse = response.body.content[0];
+    expect(replyInResponse.replyCount).toBe(1);
+    expect(replyInResponse.parentId).toBe(hoax.id);
+    expect(replyInResponse.replies[0].id).toBe(nestedReply.id);
+    expect(replyInResponse.replies[0].replyCount).toBe(1);
+  });
+
+  it("returns only the oldest page size of nested replies for each reply", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const replies = [
+      await addHoax(user.id, hoax.id),
+      await addHoax(user.id, hoax.id),
+    ];
+    const nestedIds = [];
+    for (const reply of replies) {
+      for (let i = 0; i < 3; i++) {
+        const nestedReply = await addHoax(user.id, reply.id);
+        nestedIds.push(nestedReply.id);
+      }
+    }
+    const response = await getReplies(hoax.id).query({ size: 2 });
+    const nestedInResponse = response.body.content.map((reply) =>
+      reply.replies.map((nested) => nested.id),
+    );
+    expect(nestedInResponse).toEqual([
+      nestedIds.slice(0, 2),
+      nestedIds.slice(3, 5),
+    ]);
+    expect(response.body.content[0].replyCount).toBe(3);
+  });
+
+  it("stops nesting replies at the requested depth", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(user.id, hoax.id);
+    const nestedReply = await addHoax(user.id, reply.id);
+    await addHoax(user.id, nestedReply.id);
+    const response = await getReplies(hoax.id).query({ depth: 2 });
+    const nestedInResponse = response.body.content[0].replies[0];
+    expect(nestedInResponse.replyCount).toBe(1);
+    expect(nestedInResponse.replies).toBeUndefined();
+  });
+
+  it("limits depth to the configured reply depth", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    let parentId = hoax.id;
+    for (let i = 0; i < config.replyDepthLimit + 1; i++) {
+      const reply = await addHoax(user.id, parentId);
+      parentId = reply.id;
+    }
+    const response = await getReplies(hoax.id).query({ depth: 100 });
+    let level = response.body.content[0];
+    let depth = 1;
+    while (level.replies) {
+      level = level.replies[0];
+      depth++;
+    }
+    expect(depth).toBe(config.replyDepthLimit);
+  });
+
+  it("returns replyCount of thread roots in the hoax feed and excludes replies", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await addHoax(user.id, hoax.id);
+    await addHoax(user.id, hoax.id);
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].replyCount).toBe(2);
+  });
+});
+
+describe("Deleting Hoax with Replies", () => {
+  const deleteHoax = async (id) => {
+    const token = await auth({ auth: credentials });
+    return request(app)
+      .delete(`/api/1.0/hoaxes/${id}`)
+      .set("Authorization", `Bearer ${token}`);
+  };
+
+  it("keeps a deleted placeholder when hoax has replies", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(user.id, hoax.id);
+    await deleteHoax(hoax.id);
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB.deleted).toBe(true);
+    expect(hoaxInDB.content).toBeNull();
+    const replyInDB = await Hoax.findOne({ where: { id: reply.id } });
+    expect(replyInDB).not.toBeNull();
+  });
+
+  it("returns placeholder without content and user in reply tree", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(user.id, hoax.id);
+    await addHoax(user.id, reply.id);
+    await deleteHoax(reply.id);
+    const response = await getReplies(hoax.id);
+    expect(response.body.content[0]).toEqual({
+      id: reply.id,
+      deleted: true,
+      parentId: hoax.id,
+      replyCount: 1,
+      replies: [expect.objectContaining({ parentId: reply.id })],
+    });
+  });
+
+  it("removes placeholder when its last reply is deleted", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(user.id, hoax.id);
+    await deleteHoax(hoax.id);
+    await deleteHoax(reply.id);
+    const count = await Hoax.count();
+    expect(count).toBe(0);
+  });
+
+  it("keeps replies of other users as the thread of a placeholder when user is deleted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser({
+      ...activeUser,
+      username: "user2",
+      email: "user2@mail.com",
+    });
+    const hoax = await addHoax(user.id);
+    const reply = await addHoax(otherUser.id, hoax.id);
+    await UserService.deleteUser(user.id);
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB.deleted).toBe(true);
+    expect(hoaxInDB.userId).toBeNull();
+    const replyInDB = await Hoax.findOne({ where: { id: reply.id } });
+    expect(replyInDB).not.toBeNull();
+  });
+});
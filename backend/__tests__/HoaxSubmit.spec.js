@@ -0,0 +1,238 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const FileAttachment = require("../src/file/FileAttachment");
+const HoaxService = require("../src/hoax/HoaxService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  await FileAttachment.destroy({ truncate: true });
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const activeUser = {
+  username: "user1",
+  email: "user1@mail.com",
+  password: "P@ssw0rd",
+  inactive: false,
+};
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (user = { ...activeUser }) => {
+  const hash = await bcrypt.hash(user.password, 10);
+  user.password = hash;
+
+  return await User.create(user);
+};
+
+const postHoax = async (body = null, options = {}) => {
+  let agent = request(app);
+
+  let token;
+  if (options.auth) {
+    const response = await agent.post("/api/1.0/auth").send(options.auth);
+    token = response.body.token;
+  }
+  agent = request(app).post("/api/1.0/hoaxes");
+
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+describe("Post Hoax", () => {
+  it("returns 401 when hoax post request has no authentication", async () => {
+    const response = await postHoax();
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_submit}
+    ${"en"}  | ${en.unauthroized_hoax_submit}
+  `(
+    "returns error body with $message when unauthorized request sent with language $language",
+    async ({ language, message }) => {
+      const nowInMillis = Date.now();
+      const response = await postHoax(null, { language });
+      const error = response.body;
+      expect(error.path).toBe("/api/1.0/hoaxes");
+      expect(error.message).toBe(message);
+      expect(error.timestamp).toBeGreaterThan(nowInMillis);
+    },
+  );
+
+  it("returns 200 when valid hoax submitted with authorized user", async () => {
+    await addUser();
+    const response = await postHoax(
+      { content: "Hoax content" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+  });
+
+  it("saves the hoax to database with owner and timestamp when authorized user sends valid request", async () => {
+    const savedUser = await addUser();
+    const beforeSubmit = Date.now();
+    await postHoax({ content: "Hoax content" }, { auth: credentials });
+    const hoaxes = await Hoax.findAll();
+    expect(hoaxes.length).toBe(1);
+    expect(hoaxes[0].content).toBe("Hoax content");
+    expect(hoaxes[0].userId).toBe(savedUser.id);
+    expect(Number(hoaxes[0].timestamp)).toBeGreaterThanOrEqual(beforeSubmit);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_submit_success}
+    ${"en"}  | ${en.hoax_submit_success}
+  `(
+    "returns $message to success submit when language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postHoax(
+        { content: "Hoax content" },
+        { auth: credentials, language },
+      );
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it.each`
+    language | content             | contentForDescription | message
+    ${"tr"}  | ${null}             | ${"null"}             | ${tr.hoax_content_size}
+    ${"tr"}  | ${"a".repeat(9)}    | ${"short"}            | ${tr.hoax_content_size}
+    ${"tr"}  | ${"a".repeat(5001)} | ${"very long"}        | ${tr.hoax_content_size}
+    ${"en"}  | ${null}             | ${"null"}             | ${en.hoax_content_size}
+    ${"en"}  | ${"a".repeat(9)}    | ${"short"}            | ${en.hoax_content_size}
+    ${"en"}  | ${"a".repeat(5001)} | ${"very long"}        | ${en.hoax_content_size}
+  `(
+    "returns 400 and $message when hoax content is $contentForDescription and language is $language",
+    async ({ language, content, message }) => {
+      await addUser();
+      const response = await postHoax(
+        { content },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.content).toBe(message);
+    },
+  );
+
+  it("does not save the hoax when content is invalid", async () => {
+    await addUser();
+    await postHoax({ content: "short" }, { auth: credentials });
+    const count = await Hoax.count();
+    expect(count).toBe(0);
+  });
+
+  it("associates hoax with attachment in database", async () => {
+    const user = await addUser();
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      fileType: "image/png",
+      uploadDate: new Date(),
+      userId: user.id,
+    });
+    await postHoax(
+      { content: "Hoax content", fileAttachment: attachment.id },
+      { auth: credentials },
+    );
+    const hoax = await Hoax.findOne();
+    const attachmentInDB = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentInDB.hoaxId).toBe(hoax.id);
+  });
+
+  it("does not move an attachment which is already linked to another hoax", async () => {
+    const user = await addUser();
+    const otherHoax = await Hoax.create({
+      content: "other hoax",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      hoaxId: otherHoax.id,
+      userId: user.id,
+    });
+    const response = await postHoax(
+      { content: "Hoax content", fileAttachment: attachment.id },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    const attachmentInDB = await FileAttachment.findOne({
+      where: { id: attachment.id },
+    });
+    expect(attachmentInDB.hoaxId).toBe(otherHoax.id);
+  });
+
+  it("does not link an attachment uploaded by another user", async () => {
+    await addUser();
+    const otherUser = await addUser({
+      ...activeUser,
+      username: "user2",
+      email: "user2@mail.com",
+    });
+    const attachment = await FileAttachment.create({
+      filename: "test-file",
+      uploadDate: new Date(),
+      userId: otherUser.id,
+    });
+    const response = await postHoax(
+      { content: "Hoax content", fileAttachment: attachment.id },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(await Hoax.count()).toBe(0);
+    await attachment.reload();
+    expect(attachment.hoaxId).toBeNull();
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.attachment_unavailable}
+    ${"en"}  | ${en.attachment_unavailable}
+  `(
+    "returns $message for unknown attachment when language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const response = await postHoax(
+        { content: "Hoax content", fileAttachment: 5 },
+        { auth: credentials, language },
+      );
+      expect(response.body.validationErrors.fileAttachment).toBe(message);
+    },
+  );
+
+  it("returns an error response when saving the hoax fails", async () => {
+    await addUser();
+    jest
+      .spyOn(HoaxService, "save")
+      .mockRejectedValueOnce(new Error("save failed"));
+    const response = await postHoax(
+      { content: "Hoax content" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,254 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const HoaxRevision = require("../src/hoax/HoaxRevision");
+const Mention = require("../src/hoax/Mention");
+const Notification = require("../src/notification/Notification");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const config = require("config");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId, timestamp = Date.now()) => {
+  return await Hoax.create({
+    content: "Original hoax content",
+    timestamp,
+    userId,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const putHoax = async (id, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).put(`/api/1.0/hoaxes/${id}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const validUpdate = { content: "Updated hoax content" };
+
+describe("Hoax Update", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_hoax_update}
+    ${"en"}  | ${en.unauthroized_hoax_update}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await putHoax(5, validUpdate, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 403 when user tries to update hoax of another user", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    const response = await putHoax(hoax.id, validUpdate, {
+      auth: credentials,
+    });
+    expect(response.status).toBe(403);
+    const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+    expect(hoaxInDB.content).toBe("Original hoax content");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.repost_not_editable}
+    ${"en"}  | ${en.repost_not_editable}
+  `(
+    "returns 403 with $message when updating a plain repost and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(user.id);
+      const repost = await Hoax.create({
+        content: null,
+        timestamp: Date.now(),
+        userId: user.id,
+        repostOfId: hoax.id,
+      });
+      const response = await putHoax(repost.id, validUpdate, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+      await repost.reload();
+      expect(repost.content).toBeNull();
+      expect(await HoaxRevision.count()).toBe(0);
+    },
+  );
+
+  it("returns 400 when updated content is too short", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await putHoax(
+      hoax.id,
+      { content: "short" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.content).toBe(en.hoax_content_size);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_update_success}
+    ${"en"}  | ${en.hoax_update_success}
+  `(
+    "updates content and returns $message when language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(user.id);
+      const response = await putHoax(hoax.id, validUpdate, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe(message);
+      const hoaxInDB = await Hoax.findOne({ where: { id: hoax.id } });
+      expect(hoaxInDB.content).toBe(validUpdate.content);
+    },
+  );
+
+  it("keeps the previous content as a revision", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await putHoax(hoax.id, validUpdate, { auth: credentials });
+    const revisions = await HoaxRevision.findAll();
+    expect(revisions.length).toBe(1);
+    expect(revisions[0].content).toBe("Original hoax content");
+    expect(Number(revisions[0].timestamp)).toBe(Number(hoax.timestamp));
+    expect(revisions[0].hoaxId).toBe(hoax.id);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_edit_window_closed}
+    ${"en"}  | ${en.hoax_edit_window_closed}
+  `(
+    "returns 403 with $message when the edit window has passed and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(
+        user.id,
+        Date.now() - config.hoaxEditWindow - 1000,
+      );
+      const response = await putHoax(hoax.id, validUpdate, {
+        auth: credentials,
+        language,
+      });
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("marks the hoax as edited in the feed", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const before = Date.now();
+    await putHoax(hoax.id, validUpdate, { auth: credentials });
+    const response = await request(app).get("/api/1.0/hoaxes");
+    const hoaxInFeed = response.body.content[0];
+    expect(hoaxInFeed.edited).toBe(true);
+    expect(hoaxInFeed.editedAt).toBeGreaterThanOrEqual(before);
+  });
+
+  it("notifies only users newly mentioned in the edit", async () => {
+    const user = await addUser();
+    const mentionedUser = await addUser(2);
+    const newlyMentionedUser = await addUser(3);
+    const hoax = await Hoax.create({
+      content: "Hello there @user2",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    await Mention.create({ hoaxId: hoax.id, userId: mentionedUser.id });
+    await putHoax(
+      hoax.id,
+      { content: "Hello there @user2 and @user3" },
+      { auth: credentials },
+    );
+    const mentions = await Mention.count({ where: { hoaxId: hoax.id } });
+    expect(mentions).toBe(2);
+    const notifications = await Notification.findAll();
+    expect(notifications.map((n) => n.userId)).toEqual([newlyMentionedUser.id]);
+  });
+});
+
+describe("Hoax Revisions", () => {
+  it("returns 404 when hoax does not exist", async () => {
+    const response = await request(app).get("/api/1.0/hoaxes/5/revisions");
+    expect(response.status).toBe(404);
+  });
+
+  it("returns earlier revisions latest first", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await putHoax(
+      hoax.id,
+      { content: "First edit of hoax" },
+      {
+        auth: credentials,
+      },
+    );
+    await putHoax(
+      hoax.id,
+      { content: "Second edit of hoax" },
+      {
+        auth: credentials,
+      },
+    );
+    const response = await request(app).get(
+      `/api/1.0/hoaxes/${hoax.id}/revisions`,
+    );
+    expect(response.body.content.map((revision) => revision.content)).toEqual([
+      "First edit of hoax",
+      "Original hoax content",
+    ]);
+    expect(Object.keys(response.body.content[0])).toEqual([
+      "id",
+      "content",
+      "timestamp",
+    ]);
+  });
+});
@@ -0,0 +1,270 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Follow = require("../src/follow/Follow");
+const Mention = require("../src/hoax/Mention");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId, visibility, content = "Hoax content") => {
+  return await Hoax.create({
+    content,
+    timestamp: Date.now(),
+    userId,
+    visibility,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const get = async (url, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).get(url);
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+// user1 is the reader, user2 the author of all the hoaxes
+const addHoaxesOfEveryVisibility = async () => {
+  const reader = await addUser();
+  const author = await addUser(2);
+  const publicHoax = await addHoax(author.id, "public", "public hoax");
+  const followersHoax = await addHoax(author.id, "followers", "followers hoax");
+  const mentionedHoax = await addHoax(
+    author.id,
+    "mentioned",
+    "mentioned hoax @user1",
+  );
+  return { reader, author, publicHoax, followersHoax, mentionedHoax };
+};
+
+const contentOf = (response) =>
+  response.body.content.map((hoax) => hoax.content);
+
+describe("Hoax Visibility", () => {
+  it("saves hoax with the given visibility", async () => {
+    await addUser();
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .post("/api/1.0/hoaxes")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ content: "Hoax for followers", visibility: "followers" });
+    const hoax = await Hoax.findOne();
+    expect(hoax.visibility).toBe("followers");
+  });
+
+  it("saves hoax as public by default", async () => {
+    await addUser();
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .post("/api/1.0/hoaxes")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ content: "Hoax for everyone" });
+    const hoax = await Hoax.findOne();
+    expect(hoax.visibility).toBe("public");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_visibility_invalid}
+    ${"en"}  | ${en.hoax_visibility_invalid}
+  `(
+    "returns $message when visibility is invalid and language is $language",
+    async ({ language, message }) => {
+      await addUser();
+      const token = await auth({ auth: credentials });
+      const response = await request(app)
+        .post("/api/1.0/hoaxes")
+        .set("Authorization", `Bearer ${token}`)
+        .set("Accept-Language", language)
+        .send({ content: "Hoax for someone", visibility: "friends" });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.visibility).toBe(message);
+    },
+  );
+
+  it("returns only public hoaxes to anonymous users", async () => {
+    const { author } = await addHoaxesOfEveryVisibility();
+    const feed = await get("/api/1.0/hoaxes");
+    expect(contentOf(feed)).toEqual(["public hoax"]);
+    const userFeed = await get(`/api/1.0/users/${author.id}/hoaxes`);
+    expect(contentOf(userFeed)).toEqual(["public hoax"]);
+  });
+
+  it("returns followers-only hoaxes to followers", async () => {
+    const { reader, author } = await addHoaxesOfEveryVisibility();
+    await Follow.create({ followerId: reader.id, followingId: author.id });
+    const feed = await get(`/api/1.0/users/${author.id}/hoaxes`, {
+      auth: credentials,
+    });
+    expect(contentOf(feed)).toEqual(["followers hoax", "public hoax"]);
+  });
+
+  it("returns mentioned-only hoaxes to mentioned users", async () => {
+    const { reader, mentionedHoax } = await addHoaxesOfEveryVisibility();
+    await Mention.create({ hoaxId: mentionedHoax.id, userId: reader.id });
+    const feed = await get("/api/1.0/hoaxes", { auth: credentials });
+    expect(contentOf(feed)).toEqual(["mentioned hoax @user1", "public hoax"]);
+  });
+
+  it("returns every hoax to its author", async () => {
+    const { author } = await addHoaxesOfEveryVisibility();
+    const feed = await get(`/api/1.0/users/${author.id}/hoaxes`, {
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    expect(feed.body.content.length).toBe(3);
+  });
+
+  it("returns the hoax from single hoax fetch when it is visible", async () => {
+    const { publicHoax } = await addHoaxesOfEveryVisibility();
+    const response = await get(`/api/1.0/hoax/${publicHoax.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe("public hoax");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.hoax_not_found}
+    ${"en"}  | ${en.hoax_not_found}
+  `(
+    "returns 404 with $message from single hoax fetch when hoax is not visible and language is $language",
+    async ({ language, message }) => {
+      const { followersHoax } = await addHoaxesOfEveryVisibility();
+      const token = await auth({ auth: credentials });
+      const response = await request(app)
+        .get(`/api/1.0/hoax/${followersHoax.id}`)
+        .set("Authorization", `Bearer ${token}`)
+        .set("Accept-Language", language);
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 404 for replies of a hoax which is not visible", async () => {
+    const { followersHoax } = await addHoaxesOfEveryVisibility();
+    const response = await get(`/api/1.0/hoaxes/${followersHoax.id}/replies`);
+    expect(response.status).toBe(404);
+  });
+
+  it("returns 404 when replying to a hoax which is not visible", async () => {
+    const { mentionedHoax } = await addHoaxesOfEveryVisibility();
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .post(`/api/1.0/hoaxes/${mentionedHoax.id}/replies`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ content: "Reply to hidden hoax" });
+    expect(response.status).toBe(404);
+  });
+
+  it("leaves replies the reader cannot see out of the listing", async () => {
+    const { reader, author, publicHoax } = await addHoaxesOfEveryVisibility();
+    await Hoax.create({
+      content: "public reply",
+      timestamp: Date.now(),
+      userId: reader.id,
+      parentId: publicHoax.id,
+    });
+    await Hoax.create({
+      content: "followers reply",
+      timestamp: Date.now(),
+      userId: author.id,
+      parentId: publicHoax.id,
+      visibility: "followers",
+    });
+    const response = await get(`/api/1.0/hoaxes/${publicHoax.id}/replies`);
+    expect(contentOf(response)).toEqual(["public reply"]);
+  });
+
+  it("leaves replies and reposts the reader cannot see out of the counts", async () => {
+    const { reader, author, publicHoax } = await addHoaxesOfEveryVisibility();
+    await Hoax.create({
+      content: "public reply",
+      timestamp: Date.now(),
+      userId: reader.id,
+      parentId: publicHoax.id,
+    });
+    await Hoax.create({
+      content: "followers reply",
+      timestamp: Date.now(),
+      userId: author.id,
+      parentId: publicHoax.id,
+      visibility: "followers",
+    });
+    await Hoax.create({
+      content: "followers quote",
+      timestamp: Date.now(),
+      userId: author.id,
+      repostOfId: publicHoax.id,
+      visibility: "followers",
+    });
+    const response = await get(`/api/1.0/hoax/${publicHoax.id}`, {
+      auth: credentials,
+    });
+    expect(response.body.replyCount).toBe(1);
+    expect(response.body.repostCount).toBe(0);
+  });
+
+  it("returns only visible hoaxes in search", async () => {
+    await addHoaxesOfEveryVisibility();
+    const response = await get("/api/1.0/search?q=hoax&type=hoaxes", {
+      auth: credentials,
+    });
+    expect(contentOf(response)).toEqual(["public hoax"]);
+  });
+
+  it("returns followers-only hoaxes in search to followers", async () => {
+    const { reader, author } = await addHoaxesOfEveryVisibility();
+    await Follow.create({ followerId: reader.id, followingId: author.id });
+    const response = await get("/api/1.0/search?q=followers&type=hoaxes", {
+      auth: credentials,
+    });
+    expect(contentOf(response)).toEqual(["followers hoax"]);
+  });
+
+  it("does not allow reposting hoaxes which are not public", async () => {
+    const { reader, author, followersHoax } =
+      await addHoaxesOfEveryVisibility();
+    await Follow.create({ followerId: reader.id, followingId: author.id });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .post(`/api/1.0/hoaxes/${followersHoax.id}/reposts`)
+      .set("Authorization", `Bearer ${token}`)
+      .send();
+    expect(response.status).toBe(404);
+  });
+});
@@ -8,6 +8,7 @@ const en = require("../locales/en/translation.json");
 const tr = require("../locales/tr/translation.json");
 const config = require("config");
 const Token = require("../src/auth/Token");
+const UserService = require("../src/user/UserService");
 
 let lastMail, server;
 let simulateSmtpFailure = false;
@@ -325,4 +326,20 @@ describe("Password Update", () => {
     const tokens = await Token.findAll({ where: { userId: user.id } });
     expect(tokens.length).toBe(0);
   });
+
+  it("restores an account which is pending deletion after valid password reset", async () => {
+    const user = await addUser();
+    user.passwordResetToken = "test-token";
+    user.inactive = true;
+    user.deactivatedAt = Date.now() - config.accountDeletionGracePeriod - 1000;
+    await user.save();
+    await putPasswordUpdate({
+      password: "N3w-password",
+      passwordResetToken: "test-token",
+    });
+    await UserService.purgeDeactivatedUsers();
+    const userInDB = await User.findOne({ where: { email: "user1@mail.com" } });
+    expect(userInDB.inactive).toBe(false);
+    expect(userInDB.deactivatedAt).toBeNull();
+  });
 });
@@ -0,0 +1,376 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Poll = require("../src/poll/Poll");
+const PollOption = require("../src/poll/PollOption");
+const PollVote = require("../src/poll/PollVote");
+const PollService = require("../src/poll/PollService");
+const HoaxService = require("../src/hoax/HoaxService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addPoll = async (userId, expiresAt = Date.now() + ONE_HOUR) => {
+  const hoax = await Hoax.create({
+    content: "Which one do you like?",
+    timestamp: Date.now(),
+    userId,
+  });
+  const poll = await Poll.create({ hoaxId: hoax.id, expiresAt });
+  const options = await PollOption.bulkCreate([
+    { text: "First", position: 0, pollId: poll.id },
+    { text: "Second", position: 1, pollId: poll.id },
+  ]);
+  return { hoax, poll, options };
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postHoax = async (body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post("/api/1.0/hoaxes");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const postVote = async (hoaxId, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/poll/votes`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+const getHoaxes = async (options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).get("/api/1.0/hoaxes");
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send();
+};
+
+describe("Poll Submit", () => {
+  it("saves the poll with options in order", async () => {
+    await addUser();
+    const response = await postHoax(
+      {
+        content: "Which one do you like?",
+        poll: {
+          options: ["First", "Second", "Third"],
+          expiresAt: Date.now() + ONE_HOUR,
+        },
+      },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    const poll = await Poll.findOne();
+    const options = await PollOption.findAll({
+      where: { pollId: poll.id },
+      order: [["position", "ASC"]],
+    });
+    expect(options.map((option) => option.text)).toEqual([
+      "First",
+      "Second",
+      "Third",
+    ]);
+  });
+
+  it.each`
+    field               | value                         | message
+    ${"poll.options"}   | ${["Only one"]}               | ${"poll_options_size"}
+    ${"poll.options"}   | ${["1", "2", "3", "4", "5"]}  | ${"poll_options_size"}
+    ${"poll.options"}   | ${["First", ""]}              | ${"poll_option_size"}
+    ${"poll.options"}   | ${["First", "a".repeat(101)]} | ${"poll_option_size"}
+    ${"poll.expiresAt"} | ${Date.now() - ONE_HOUR}      | ${"poll_expiry_invalid"}
+  `(
+    "returns $message for $field when value is $value",
+    async ({ field, value, message }) => {
+      await addUser();
+      const poll = {
+        options: ["First", "Second"],
+        expiresAt: Date.now() + ONE_HOUR,
+      };
+      poll[field.split(".")[1]] = value;
+      for (const language of ["tr", "en"]) {
+        const response = await postHoax(
+          { content: "Which one do you like?", poll },
+          { auth: credentials, language },
+        );
+        const translations = language === "tr" ? tr : en;
+        expect(response.status).toBe(400);
+        expect(response.body.validationErrors[field]).toBe(
+          translations[message],
+        );
+      }
+      expect(await Hoax.count()).toBe(0);
+    },
+  );
+
+  it.each`
+    field               | value                                 | message
+    ${"poll.options"}   | ${"abc"}                              | ${"poll_options_size"}
+    ${"poll.options"}   | ${Array.from({ length: 12 }, String)} | ${"poll_options_size"}
+    ${"poll.expiresAt"} | ${1}                                  | ${"poll_expiry_invalid"}
+  `(
+    "returns $message for $field of a reply poll when value is $value",
+    async ({ field, value, message }) => {
+      const user = await addUser();
+      const parent = await Hoax.create({
+        content: "Parent hoax",
+        timestamp: Date.now(),
+        userId: user.id,
+      });
+      const poll = {
+        options: ["First", "Second"],
+        expiresAt: Date.now() + ONE_HOUR,
+      };
+      poll[field.split(".")[1]] = value;
+      const token = await auth({ auth: credentials });
+      const response = await request(app)
+        .post(`/api/1.0/hoaxes/${parent.id}/replies`)
+        .set("Authorization", `Bearer ${token}`)
+        .send({ content: "Which one do you like?", poll });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(en[message]);
+      expect(await Hoax.count()).toBe(1);
+      expect(await Poll.count()).toBe(0);
+    },
+  );
+
+  it("does not keep the hoax when saving its poll fails", async () => {
+    const user = await addUser();
+    jest
+      .spyOn(PollService, "createPoll")
+      .mockRejectedValueOnce(new Error("poll failed"));
+    await expect(
+      HoaxService.save(
+        {
+          content: "Which one do you like?",
+          poll: {
+            options: ["First", "Second"],
+            expiresAt: Date.now() + ONE_HOUR,
+          },
+        },
+        user,
+      ),
+    ).rejects.toThrow("poll failed");
+    expect(await Hoax.count()).toBe(0);
+  });
+});
+
+describe("Poll Vote", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_poll_vote}
+    ${"en"}  | ${en.unauthroized_poll_vote}
+  `(
+    "returns 401 with $message when request has no authentication and language is $language",
+    async ({ language, message }) => {
+      const response = await postVote(5, { option: 1 }, { language });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("returns 404 when hoax has no poll", async () => {
+    const user = await addUser();
+    const hoax = await Hoax.create({
+      content: "Hoax without poll",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const response = await postVote(
+      hoax.id,
+      { option: 1 },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it("saves the vote", async () => {
+    const user = await addUser();
+    const { hoax, options } = await addPoll(user.id);
+    const response = await postVote(
+      hoax.id,
+      { option: options[1].id },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    const vote = await PollVote.findOne();
+    expect(vote.pollOptionId).toBe(options[1].id);
+    expect(vote.userId).toBe(user.id);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.poll_already_voted}
+    ${"en"}  | ${en.poll_already_voted}
+  `(
+    "returns 400 with $message when user votes twice and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const { hoax, options } = await addPoll(user.id);
+      await postVote(hoax.id, { option: options[0].id }, { auth: credentials });
+      const response = await postVote(
+        hoax.id,
+        { option: options[1].id },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.option).toBe(message);
+      expect(await PollVote.count()).toBe(1);
+    },
+  );
+
+  it("returns 400 when option belongs to another poll", async () => {
+    const user = await addUser();
+    const { hoax } = await addPoll(user.id);
+    const { options } = await addPoll(user.id);
+    const response = await postVote(
+      hoax.id,
+      { option: options[0].id },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.option).toBe(en.poll_option_invalid);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.poll_closed}
+    ${"en"}  | ${en.poll_closed}
+  `(
+    "returns 403 with $message when poll is closed and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const { hoax, options } = await addPoll(user.id, Date.now() - 1000);
+      const response = await postVote(
+        hoax.id,
+        { option: options[0].id },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe(message);
+    },
+  );
+});
+
+describe("Poll Results", () => {
+  it("hides vote counts until the user has voted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const { poll, options } = await addPoll(user.id);
+    await PollVote.create({
+      pollId: poll.id,
+      pollOptionId: options[0].id,
+      userId: otherUser.id,
+    });
+    const response = await getHoaxes({ auth: credentials });
+    const pollInFeed = response.body.content[0].poll;
+    expect(pollInFeed.closed).toBe(false);
+    expect(pollInFeed.ownVote).toBeNull();
+    expect(pollInFeed.totalVotes).toBeUndefined();
+    expect(pollInFeed.options).toEqual([
+      { id: options[0].id, text: "First" },
+      { id: options[1].id, text: "Second" },
+    ]);
+  });
+
+  it("shows vote counts after the user has voted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const { poll, options } = await addPoll(user.id);
+    await PollVote.create({
+      pollId: poll.id,
+      pollOptionId: options[0].id,
+      userId: otherUser.id,
+    });
+    await PollVote.create({
+      pollId: poll.id,
+      pollOptionId: options[1].id,
+      userId: user.id,
+    });
+    const response = await getHoaxes({ auth: credentials });
+    const pollInFeed = response.body.content[0].poll;
+    expect(pollInFeed.ownVote).toBe(options[1].id);
+    expect(pollInFeed.totalVotes).toBe(2);
+    expect(pollInFeed.options.map((option) => option.voteCount)).toEqual([
+      1, 1,
+    ]);
+  });
+
+  it("shows vote counts to everyone when poll is closed", async () => {
+    const user = await addUser();
+    const { poll, options } = await addPoll(user.id, Date.now() - 1000);
+    await PollVote.create({
+      pollId: poll.id,
+      pollOptionId: options[0].id,
+      userId: user.id,
+    });
+    const response = await getHoaxes();
+    const pollInFeed = response.body.content[0].poll;
+    expect(pollInFeed.closed).toBe(true);
+    expect(pollInFeed.options.map((option) => option.voteCount)).toEqual([
+      1, 0,
+    ]);
+  });
+
+  it("does not include poll field for hoaxes without poll", async () => {
+    const user = await addUser();
+    await Hoax.create({
+      content: "Hoax without poll",
+      timestamp: Date.now(),
+      userId: user.id,
+    });
+    const response = await getHoaxes();
+    expect(response.body.content[0].poll).toBeUndefined();
+  });
+});
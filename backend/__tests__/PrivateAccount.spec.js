@@ -0,0 +1,343 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Follow = require("../src/follow/Follow");
+const FollowRequest = require("../src/follow/FollowRequest");
+const Block = require("../src/block/Block");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const addUser = async (index = 1, fields = {}) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...fields,
+  });
+};
+
+const addHoax = async (userId, content = `Hoax of ${userId}`) => {
+  return await Hoax.create({ content, timestamp: Date.now(), userId });
+};
+
+const authenticate = async (index = 1) => {
+  const response = await request(app)
+    .post("/api/1.0/auth")
+    .send({ email: `user${index}@mail.com`, password: "P@ssw0rd" });
+  return response.body.token;
+};
+
+const send = (method, url, options = {}) => {
+  const agent = request(app)[method](url);
+  if (options.token) {
+    agent.set("Authorization", `Bearer ${options.token}`);
+  }
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(options.body);
+};
+
+// user1 owns the private account, user2 asks to follow it
+const addPrivateAccountWithRequest = async () => {
+  const owner = await addUser(1, { private: true });
+  const follower = await addUser(2);
+  const followRequest = await FollowRequest.create({
+    followerId: follower.id,
+    followingId: owner.id,
+  });
+  return { owner, follower, followRequest };
+};
+
+describe("Private Account Setting", () => {
+  it("saves the private flag on user update", async () => {
+    const user = await addUser();
+    const token = await authenticate();
+    const response = await send("put", `/api/1.0/users/${user.id}`, {
+      token,
+      body: { private: true },
+    });
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user.private).toBe(true);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.private_invalid}
+    ${"en"}  | ${en.private_invalid}
+  `(
+    "returns $message when private is not a boolean and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const token = await authenticate();
+      const response = await send("put", `/api/1.0/users/${user.id}`, {
+        token,
+        language,
+        body: { private: "sometimes" },
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.private).toBe(message);
+    },
+  );
+
+  it("returns the basic profile of a private account with the private flag", async () => {
+    const user = await addUser(1, { private: true, bio: "Private bio" });
+    const response = await send("get", `/api/1.0/users/${user.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body.private).toBe(true);
+    expect(response.body.bio).toBe("Private bio");
+    expect(response.body.relationship).toBeNull();
+  });
+
+  it("returns null relationship when user reads their own profile", async () => {
+    const user = await addUser();
+    const token = await authenticate();
+    const response = await send("get", `/api/1.0/users/${user.id}`, {
+      token,
+    });
+    expect(response.body.relationship).toBeNull();
+  });
+
+  it("returns the relationship state of the caller", async () => {
+    const user = await addUser(1);
+    const other = await addUser(2);
+    await Follow.create({ followerId: other.id, followingId: user.id });
+    await Block.create({ blockerId: user.id, blockedId: other.id });
+    const token = await authenticate(1);
+    const response = await send("get", `/api/1.0/users/${other.id}`, {
+      token,
+    });
+    expect(response.body.relationship).toEqual({
+      following: false,
+      requested: false,
+      followedBy: true,
+      blocking: true,
+      muting: false,
+    });
+  });
+});
+
+describe("Follow Requests", () => {
+  it("creates a pending request instead of following a private account", async () => {
+    const owner = await addUser(1, { private: true });
+    await addUser(2);
+    const token = await authenticate(2);
+    const response = await send("post", `/api/1.0/users/${owner.id}/follow`, {
+      token,
+    });
+    expect(response.status).toBe(200);
+    expect(await Follow.count()).toBe(0);
+    expect(await FollowRequest.count()).toBe(1);
+  });
+
+  it("shows the pending request in relationship state", async () => {
+    const { owner } = await addPrivateAccountWithRequest();
+    const token = await authenticate(2);
+    const response = await send("get", `/api/1.0/users/${owner.id}`, {
+      token,
+    });
+    expect(response.body.relationship.requested).toBe(true);
+    expect(response.body.relationship.following).toBe(false);
+  });
+
+  it("follows a public account directly", async () => {
+    const user = await addUser(1);
+    await addUser(2);
+    const token = await authenticate(2);
+    await send("post", `/api/1.0/users/${user.id}/follow`, { token });
+    expect(await Follow.count()).toBe(1);
+    expect(await FollowRequest.count()).toBe(0);
+  });
+
+  it("withdraws the pending request on unfollow", async () => {
+    const { owner } = await addPrivateAccountWithRequest();
+    const token = await authenticate(2);
+    await send("delete", `/api/1.0/users/${owner.id}/follow`, { token });
+    expect(await FollowRequest.count()).toBe(0);
+  });
+
+  it("lists pending requests of the account owner", async () => {
+    const { follower, followRequest } = await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    const response = await send("get", "/api/1.0/follow-requests", { token });
+    expect(response.status).toBe(200);
+    expect(response.body.content).toEqual([
+      {
+        id: followRequest.id,
+        user: { id: follower.id, username: "user2", image: null },
+      },
+    ]);
+  });
+
+  it("does not list requests sent by the user", async () => {
+    await addPrivateAccountWithRequest();
+    const token = await authenticate(2);
+    const response = await send("get", "/api/1.0/follow-requests", { token });
+    expect(response.body.content.length).toBe(0);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_follow_request}
+    ${"en"}  | ${en.unauthroized_follow_request}
+  `(
+    "returns 401 with $message for unauthenticated request when language is $language",
+    async ({ language, message }) => {
+      const response = await send("get", "/api/1.0/follow-requests", {
+        language,
+      });
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("creates the follow when the owner approves the request", async () => {
+    const { owner, follower, followRequest } =
+      await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    const response = await send(
+      "post",
+      `/api/1.0/follow-requests/${followRequest.id}`,
+      { token },
+    );
+    expect(response.status).toBe(200);
+    const follow = await Follow.findOne({
+      where: { followerId: follower.id, followingId: owner.id },
+    });
+    expect(follow).not.toBeNull();
+    expect(await FollowRequest.count()).toBe(0);
+  });
+
+  it("removes the request without following when the owner rejects it", async () => {
+    const { followRequest } = await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    const response = await send(
+      "delete",
+      `/api/1.0/follow-requests/${followRequest.id}`,
+      { token },
+    );
+    expect(response.status).toBe(200);
+    expect(await Follow.count()).toBe(0);
+    expect(await FollowRequest.count()).toBe(0);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.follow_request_not_found}
+    ${"en"}  | ${en.follow_request_not_found}
+  `(
+    "returns 404 with $message when the requester approves their own request and language is $language",
+    async ({ language, message }) => {
+      const { followRequest } = await addPrivateAccountWithRequest();
+      const token = await authenticate(2);
+      const response = await send(
+        "post",
+        `/api/1.0/follow-requests/${followRequest.id}`,
+        { token, language },
+      );
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+      expect(await Follow.count()).toBe(0);
+    },
+  );
+
+  it("approves pending requests when the account is switched to public", async () => {
+    const { owner, follower } = await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    await send("put", `/api/1.0/users/${owner.id}`, {
+      token,
+      body: { private: false },
+    });
+    expect(await FollowRequest.count()).toBe(0);
+    const follow = await Follow.findOne({
+      where: { followerId: follower.id, followingId: owner.id },
+    });
+    expect(follow).not.toBeNull();
+    const response = await send("get", `/api/1.0/users/${owner.id}`, {
+      token: await authenticate(2),
+    });
+    expect(response.body.relationship.requested).toBe(false);
+    expect(response.body.relationship.following).toBe(true);
+  });
+
+  it("keeps pending requests when other fields of a private account are updated", async () => {
+    const { owner } = await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    await send("put", `/api/1.0/users/${owner.id}`, {
+      token,
+      body: { bio: "Updated bio" },
+    });
+    expect(await FollowRequest.count()).toBe(1);
+  });
+
+  it("removes pending requests when one of the users blocks the other", async () => {
+    const { follower } = await addPrivateAccountWithRequest();
+    const token = await authenticate(1);
+    await send("post", `/api/1.0/users/${follower.id}/block`, { token });
+    expect(await FollowRequest.count()).toBe(0);
+  });
+});
+
+describe("Private Account Hoaxes", () => {
+  it("hides hoaxes of a private account from anonymous users", async () => {
+    const owner = await addUser(1, { private: true });
+    await addHoax(owner.id);
+    const response = await send("get", "/api/1.0/hoaxes");
+    expect(response.body.content.length).toBe(0);
+  });
+
+  it("hides hoaxes of a private account from users with a pending request", async () => {
+    const { owner } = await addPrivateAccountWithRequest();
+    const hoax = await addHoax(owner.id);
+    const token = await authenticate(2);
+    const feed = await send("get", `/api/1.0/users/${owner.id}/hoaxes`, {
+      token,
+    });
+    expect(feed.body.content.length).toBe(0);
+    const single = await send("get", `/api/1.0/hoax/${hoax.id}`, { token });
+    expect(single.status).toBe(404);
+  });
+
+  it("shows hoaxes of a private account to approved followers", async () => {
+    const { owner, followRequest } = await addPrivateAccountWithRequest();
+    await addHoax(owner.id);
+    await send("post", `/api/1.0/follow-requests/${followRequest.id}`, {
+      token: await authenticate(1),
+    });
+    const response = await send("get", `/api/1.0/users/${owner.id}/hoaxes`, {
+      token: await authenticate(2),
+    });
+    expect(response.body.content.length).toBe(1);
+  });
+
+  it("shows hoaxes of a private account to the owner", async () => {
+    const owner = await addUser(1, { private: true });
+    await addHoax(owner.id);
+    const token = await authenticate(1);
+    const response = await send("get", "/api/1.0/hoaxes", { token });
+    expect(response.body.content.length).toBe(1);
+  });
+
+  it("hides hoaxes of a private account in search", async () => {
+    const owner = await addUser(1, { private: true });
+    await addUser(2);
+    await addHoax(owner.id, "secret hoax");
+    const token = await authenticate(2);
+    const response = await send("get", "/api/1.0/search?q=secret", { token });
+    expect(response.body.content.length).toBe(0);
+  });
+});
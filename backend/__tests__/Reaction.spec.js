@@ -0,0 +1,248 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const Reaction = require("../src/reaction/Reaction");
+const UserService = require("../src/user/UserService");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+  await Hoax.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId) => {
+  return await Hoax.create({
+    content: "Hoax content",
+    timestamp: Date.now(),
+    userId,
+  });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postReaction = async (hoaxId, body = null, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/reactions`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+describe("Add Reaction", () => {
+  it("returns 401 when request has no authentication", async () => {
+    const response = await postReaction(1, { type: "like" });
+    expect(response.status).toBe(401);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.unauthroized_reaction}
+    ${"en"}  | ${en.unauthroized_reaction}
+  `(
+    "returns $message for unauthenticated request when language is $language",
+    async ({ language, message }) => {
+      const response = await postReaction(1, { type: "like" }, { language });
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("saves the reaction of the user for the hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    const response = await postReaction(
+      hoax.id,
+      { type: "like" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    const reactions = await Reaction.findAll();
+    expect(reactions.length).toBe(1);
+    expect(reactions[0].type).toBe("like");
+    expect(reactions[0].userId).toBe(user.id);
+  });
+
+  it("replaces the previous reaction of the user for the same hoax", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await postReaction(hoax.id, { type: "like" }, { auth: credentials });
+    await postReaction(hoax.id, { type: "laugh" }, { auth: credentials });
+    const reactions = await Reaction.findAll();
+    expect(reactions.length).toBe(1);
+    expect(reactions[0].type).toBe("laugh");
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.reaction_type_invalid}
+    ${"en"}  | ${en.reaction_type_invalid}
+  `(
+    "returns 400 with $message when reaction type is not configured and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(user.id);
+      const response = await postReaction(
+        hoax.id,
+        { type: "unknown" },
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.type).toBe(message);
+    },
+  );
+
+  it("returns 404 when hoax does not exist", async () => {
+    await addUser();
+    const response = await postReaction(
+      5,
+      { type: "like" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("Remove Reaction", () => {
+  it("removes the reaction of the user", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}/reactions`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(200);
+    const count = await Reaction.count();
+    expect(count).toBe(0);
+  });
+
+  it("returns 401 when request has no authentication", async () => {
+    const response = await request(app).delete(`/api/1.0/hoaxes/1/reactions`);
+    expect(response.status).toBe(401);
+  });
+});
+
+describe("Listing Reactions", () => {
+  it("returns reacting users in page object", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    const response = await request(app).get(
+      `/api/1.0/hoaxes/${hoax.id}/reactions`,
+    );
+    expect(response.body).toEqual({
+      content: [
+        {
+          type: "like",
+          user: { id: user.id, username: "user1", image: null },
+        },
+      ],
+      page: 0,
+      size: 10,
+      totalPages: 1,
+    });
+  });
+
+  it("returns 404 when hoax does not exist", async () => {
+    const response = await request(app).get(`/api/1.0/hoaxes/5/reactions`);
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("Reactions in Feed", () => {
+  it("returns reaction counts of each type and own reaction of the caller", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const thirdUser = await addUser(3);
+    const hoax = await addHoax(user.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    await Reaction.create({
+      type: "like",
+      userId: otherUser.id,
+      hoaxId: hoax.id,
+    });
+    await Reaction.create({
+      type: "laugh",
+      userId: thirdUser.id,
+      hoaxId: hoax.id,
+    });
+    const token = await auth({ auth: credentials });
+    const response = await request(app)
+      .get("/api/1.0/hoaxes")
+      .set("Authorization", `Bearer ${token}`);
+    const hoaxInResponse = response.body.content[0];
+    expect(hoaxInResponse.reactionCounts).toEqual({
+      like: 2,
+      love: 0,
+      laugh: 1,
+      sad: 0,
+      angry: 0,
+    });
+    expect(hoaxInResponse.ownReaction).toBe("like");
+  });
+
+  it("returns null own reaction for anonymous caller", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content[0].ownReaction).toBeNull();
+  });
+});
+
+describe("Reaction Cleanup", () => {
+  it("removes reactions when hoax is deleted", async () => {
+    const user = await addUser();
+    const hoax = await addHoax(user.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    const token = await auth({ auth: credentials });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    const count = await Reaction.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes reactions of the user when user is deleted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await Reaction.create({ type: "like", userId: user.id, hoaxId: hoax.id });
+    await UserService.deleteUser(user.id);
+    const count = await Reaction.count();
+    expect(count).toBe(0);
+  });
+});
@@ -0,0 +1,221 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const addHoax = async (userId, content = "Original hoax content") => {
+  return await Hoax.create({ content, timestamp: Date.now(), userId });
+};
+
+const auth = async (options = {}) => {
+  let token;
+  if (options.auth) {
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send(options.auth);
+    token = response.body.token;
+  }
+
+  return token;
+};
+
+const postRepost = async (hoaxId, body = {}, options = {}) => {
+  const token = await auth(options);
+  const agent = request(app).post(`/api/1.0/hoaxes/${hoaxId}/reposts`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  if (token) {
+    agent.set("Authorization", `Bearer ${token}`);
+  }
+  return agent.send(body);
+};
+
+describe("Repost", () => {
+  it("returns 401 when request has no authentication", async () => {
+    const response = await postRepost(1);
+    expect(response.status).toBe(401);
+  });
+
+  it("saves a repost referencing the original hoax with optional quote", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    const response = await postRepost(
+      hoax.id,
+      { content: "Look at this one" },
+      { auth: credentials },
+    );
+    expect(response.status).toBe(200);
+    const repost = await Hoax.findOne({ where: { userId: user.id } });
+    expect(repost.repostOfId).toBe(hoax.id);
+    expect(repost.content).toBe("Look at this one");
+  });
+
+  it("reposts the original when a repost is reposted", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    const repost = await Hoax.create({
+      timestamp: Date.now(),
+      userId: otherUser.id,
+      repostOfId: hoax.id,
+    });
+    await postRepost(repost.id, {}, { auth: credentials });
+    const ownRepost = await Hoax.findOne({ where: { userId: user.id } });
+    expect(ownRepost.repostOfId).toBe(hoax.id);
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.already_reposted}
+    ${"en"}  | ${en.already_reposted}
+  `(
+    "returns 400 with $message when the same hoax is reposted twice and language is $language",
+    async ({ language, message }) => {
+      const otherUser = await addUser(2);
+      await addUser();
+      const hoax = await addHoax(otherUser.id);
+      await postRepost(hoax.id, {}, { auth: credentials });
+      const response = await postRepost(
+        hoax.id,
+        {},
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.id).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.repost_unavailable}
+    ${"en"}  | ${en.repost_unavailable}
+  `(
+    "returns 404 with $message when hoax is deleted and language is $language",
+    async ({ language, message }) => {
+      const user = await addUser();
+      const hoax = await addHoax(user.id);
+      hoax.deleted = true;
+      await hoax.save();
+      const response = await postRepost(
+        hoax.id,
+        {},
+        { auth: credentials, language },
+      );
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe(message);
+    },
+  );
+
+  it("shows repost in the reposter's feed with the original hoax embedded", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await postRepost(hoax.id, {}, { auth: credentials });
+    const response = await request(app).get(`/api/1.0/users/${user.id}/hoaxes`);
+    const repost = response.body.content[0];
+    expect(repost.user.id).toBe(user.id);
+    expect(repost.content).toBeNull();
+    expect(repost.repostOf.id).toBe(hoax.id);
+    expect(repost.repostOf.content).toBe("Original hoax content");
+    expect(repost.repostOf.user.id).toBe(otherUser.id);
+  });
+
+  it("leaves plain reposts out of the feed when the original is hidden from the viewer", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await postRepost(hoax.id, {}, { auth: credentials });
+    await otherUser.update({ private: true });
+    const response = await request(app).get(`/api/1.0/users/${user.id}/hoaxes`);
+    expect(response.body.content).toEqual([]);
+  });
+
+  it("shows quote posts without the original when it is hidden from the viewer", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await postRepost(
+      hoax.id,
+      { content: "My quote on this hoax" },
+      { auth: credentials },
+    );
+    await otherUser.update({ private: true });
+    const response = await request(app).get(`/api/1.0/users/${user.id}/hoaxes`);
+    const quote = response.body.content[0];
+    expect(quote.content).toBe("My quote on this hoax");
+    expect(quote.repostOf).toBeUndefined();
+    expect(quote.repostOfId).toBeUndefined();
+  });
+
+  it("does not show reposts in the global feed and counts them on the original", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await postRepost(hoax.id, {}, { auth: credentials });
+    const response = await request(app).get("/api/1.0/hoaxes");
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].repostCount).toBe(1);
+  });
+
+  it("removes reposts when the original hoax is deleted", async () => {
+    await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await postRepost(hoax.id, {}, { auth: credentials });
+    const token = await auth({
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    const count = await Hoax.count();
+    expect(count).toBe(0);
+  });
+
+  it("removes reposts when the original hoax is kept as a deleted placeholder", async () => {
+    const user = await addUser();
+    const otherUser = await addUser(2);
+    const hoax = await addHoax(otherUser.id);
+    await Hoax.create({
+      content: "reply content",
+      timestamp: Date.now(),
+      userId: user.id,
+      parentId: hoax.id,
+    });
+    await postRepost(hoax.id, {}, { auth: credentials });
+    const token = await auth({
+      auth: { email: "user2@mail.com", password: "P@ssw0rd" },
+    });
+    await request(app)
+      .delete(`/api/1.0/hoaxes/${hoax.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    const reposts = await Hoax.count({ where: { repostOfId: hoax.id } });
+    expect(reposts).toBe(0);
+  });
+});
@@ -0,0 +1,219 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const Hoax = require("../src/hoax/Hoax");
+const sequelize = require("../src/config/database");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const addUser = async (username, inactive = false) => {
+  return await User.create({
+    username,
+    email: `${username}@mail.com`,
+    inactive,
+  });
+};
+
+const addHoax = async (content, userId) => {
+  return await Hoax.create({ content, timestamp: Date.now(), userId });
+};
+
+const indexedIds = async (table) => {
+  const rows = await sequelize.query(`SELECT rowid AS id FROM ${table}`, {
+    type: sequelize.QueryTypes.SELECT,
+  });
+  return rows.map((row) => row.id).sort((a, b) => a - b);
+};
+
+const search = (query) => {
+  return request(app).get("/api/1.0/search").query(query);
+};
+
+describe("Search", () => {
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.search_query_null}
+    ${"en"}  | ${en.search_query_null}
+  `(
+    "returns 400 with $message when query is empty and language is $language",
+    async ({ language, message }) => {
+      const response = await search({ q: " " }).set(
+        "Accept-Language",
+        language,
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.q).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.search_type_invalid}
+    ${"en"}  | ${en.search_type_invalid}
+  `(
+    "returns 400 with $message when type is unknown and language is $language",
+    async ({ language, message }) => {
+      const response = await search({ q: "test", type: "tags" }).set(
+        "Accept-Language",
+        language,
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.type).toBe(message);
+    },
+  );
+
+  it("returns matching hoaxes in page object", async () => {
+    const user = await addUser("user1");
+    await addHoax("Learning test driven development", user.id);
+    await addHoax("Something else entirely", user.id);
+    const response = await search({ q: "driven", type: "hoaxes" });
+    expect(response.body.content.length).toBe(1);
+    expect(response.body.content[0].content).toBe(
+      "Learning test driven development",
+    );
+    expect(response.body.content[0].user.username).toBe("user1");
+    expect(response.body.page).toBe(0);
+    expect(response.body.size).toBe(10);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("searches hoaxes when type is not set", async () => {
+    const user = await addUser("user1");
+    await addHoax("Learning test driven development", user.id);
+    const response = await search({ q: "development" });
+    expect(response.body.content.length).toBe(1);
+  });
+
+  it("matches hoaxes by word prefix", async () => {
+    const user = await addUser("user1");
+    await addHoax("Learning test driven development", user.id);
+    const response = await search({ q: "devel" });
+    expect(response.body.content.length).toBe(1);
+  });
+
+  it("ranks hoaxes having more matches higher", async () => {
+    const user = await addUser("user1");
+    await addHoax("express is a web framework for node", user.id);
+    await addHoax("node node node everywhere you look", user.id);
+    const response = await search({ q: "node" });
+    expect(response.body.content[0].content).toBe(
+      "node node node everywhere you look",
+    );
+  });
+
+  it("does not fail when query has search operators", async () => {
+    const user = await addUser("user1");
+    await addHoax('quoted "text" AND more', user.id);
+    const response = await search({ q: '"text" AND (' });
+    expect(response.status).toBe(200);
+  });
+
+  it("excludes hoaxes of inactive users", async () => {
+    const user = await addUser("user1", true);
+    await addHoax("Learning test driven development", user.id);
+    const response = await search({ q: "driven" });
+    expect(response.body.content.length).toBe(0);
+    expect(response.body.totalPages).toBe(0);
+  });
+
+  it("finds updated content and drops deleted hoaxes", async () => {
+    const user = await addUser("user1");
+    const hoax = await addHoax("first version of the hoax", user.id);
+    const other = await addHoax("this hoax will be removed", user.id);
+    hoax.content = "second edition of the hoax";
+    await hoax.save();
+    await other.destroy();
+    const oldResponse = await search({ q: "version" });
+    const newResponse = await search({ q: "edition" });
+    const removedResponse = await search({ q: "removed" });
+    expect(oldResponse.body.content.length).toBe(0);
+    expect(newResponse.body.content.length).toBe(1);
+    expect(removedResponse.body.content.length).toBe(0);
+  });
+
+  it("returns matching active users with id, username, email and image", async () => {
+    await addUser("ahmet");
+    await addUser("mehmet");
+    await addUser("ahmetcan", true);
+    const response = await search({ q: "ahmet", type: "users" });
+    expect(response.body.content).toEqual([
+      {
+        id: expect.any(Number),
+        username: "ahmet",
+        email: "ahmet@mail.com",
+        image: null,
+      },
+    ]);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("falls back to LIKE matching on dialects without full text search", async () => {
+    const dialect = jest
+      .spyOn(sequelize, "getDialect")
+      .mockReturnValue("postgres");
+    const user = await addUser("user1");
+    await addUser("user2", true);
+    await addHoax("Learning test driven development", user.id);
+    const hoaxResponse = await search({ q: "driven dev" });
+    const userResponse = await search({ q: "user", type: "users" });
+    dialect.mockRestore();
+    expect(hoaxResponse.body.content.length).toBe(1);
+    expect(userResponse.body.content.map((u) => u.username)).toEqual(["user1"]);
+  });
+
+  it("pages hoaxes newest first and skips deleted ones in the fallback search", async () => {
+    const dialect = jest
+      .spyOn(sequelize, "getDialect")
+      .mockReturnValue("postgres");
+    const user = await addUser("user1");
+    const hoaxes = [];
+    for (let i = 1; i <= 3; i++) {
+      hoaxes.push(await addHoax(`driven development part ${i}`, user.id));
+    }
+    await hoaxes[2].update({ deleted: true });
+    const response = await search({ q: "driven", size: 1, page: 1 });
+    dialect.mockRestore();
+    expect(response.body.content.map((hoax) => hoax.id)).toEqual([
+      hoaxes[0].id,
+    ]);
+    expect(response.body.totalPages).toBe(2);
+  });
+
+  it("removes index entries of replies and reposts taken along by a delete", async () => {
+    const user = await addUser("user1");
+    const hoax = await addHoax("hoax which will be removed", user.id);
+    const reply = await Hoax.create({
+      content: "reply which goes along",
+      timestamp: Date.now(),
+      userId: user.id,
+      parentId: hoax.id,
+    });
+    await Hoax.create({
+      content: "quote of the reply",
+      timestamp: Date.now(),
+      userId: user.id,
+      repostOfId: reply.id,
+    });
+    const other = await addHoax("hoax which stays", user.id);
+    await hoax.destroy();
+    expect(await indexedIds("hoaxSearch")).toEqual([other.id]);
+  });
+
+  it("removes index entries of the user and their hoaxes when user is deleted", async () => {
+    const user = await addUser("user1");
+    const other = await addUser("user2");
+    await addHoax("hoax of removed user", user.id);
+    const otherHoax = await addHoax("hoax of other user", other.id);
+    await User.destroy({ where: { id: user.id } });
+    expect(await indexedIds("userSearch")).toEqual([other.id]);
+    expect(await indexedIds("hoaxSearch")).toEqual([otherHoax.id]);
+  });
+});
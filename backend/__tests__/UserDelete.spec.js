@@ -102,14 +102,15 @@ describe("User Delete", () => {
     expect(response.status).toBe(200);
   });
 
-  it("deletes user from databse when request is sent from authorized user", async () => {
+  it("deactivates user in databse when request is sent from authorized user", async () => {
     const savedUser = await addUser();
     const token = await auth({
       auth: { email: "user1@mail.com", password: "P@ssw0rd" },
     });
     await deleteUser(savedUser.id, { token: token });
     const inDBUser = await User.findOne({ where: { id: savedUser.id } });
-    expect(inDBUser).toBeNull();
+    expect(inDBUser.inactive).toBe(true);
+    expect(inDBUser.deactivatedAt).toBeTruthy();
   });
 
   it("deletes token from database when delete user request is sent from authorized user", async () => {
@@ -0,0 +1,177 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const {
+  findDuplicates,
+  up,
+} = require("../migrations/normalize-user-identities");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const addUser = async (username = "user1", email = "user1@mail.com") => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username,
+    email,
+    password: hash,
+    inactive: false,
+  });
+};
+
+const postUser = (user, options = {}) => {
+  const agent = request(app).post("/api/1.0/users");
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(user);
+};
+
+describe("User Identity", () => {
+  it("stores emails lower cased and NFKC normalized", async () => {
+    const user = await addUser("user1", " ＵＳＥＲ1@Mail.com ");
+    expect(user.email).toBe("user1@mail.com");
+  });
+
+  it("keeps the username casing but normalizes it", async () => {
+    const user = await addUser("Ｕser1");
+    expect(user.username).toBe("User1");
+    expect(user.usernameKey).toBe("user1");
+  });
+
+  it("rejects a second user with the same username in different case", async () => {
+    await addUser("user1");
+    await expect(addUser("USER1", "user2@mail.com")).rejects.toThrow();
+  });
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.username_inuse}
+    ${"en"}  | ${en.username_inuse}
+  `(
+    "returns $message when username is in use with different case and language is $language",
+    async ({ language, message }) => {
+      await addUser("user1");
+      const response = await postUser(
+        { username: "User1", email: "user2@mail.com", password: "P4ssword" },
+        { language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.username).toBe(message);
+    },
+  );
+
+  it.each`
+    language | message
+    ${"tr"}  | ${tr.email_inuse}
+    ${"en"}  | ${en.email_inuse}
+  `(
+    "returns $message when email is in use with different case and language is $language",
+    async ({ language, message }) => {
+      await addUser("user1", "user1@mail.com");
+      const response = await postUser(
+        { username: "user2", email: "User1@Mail.com", password: "P4ssword" },
+        { language },
+      );
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.email).toBe(message);
+    },
+  );
+
+  it.each`
+    case                           | username
+    ${"expands over the maximum"}  | ${"\ufb03".repeat(12)}
+    ${"shrinks below the minimum"} | ${"abe\u0301"}
+    ${"is padded to the minimum"}  | ${"  ab  "}
+  `(
+    "returns username_size when username $case after normalization",
+    async ({ username }) => {
+      const response = await postUser({
+        username,
+        email: "user1@mail.com",
+        password: "P4ssword",
+      });
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors.username).toBe(en.username_size);
+      expect(await User.count()).toBe(0);
+    },
+  );
+
+  it("returns username_size when username is updated to a value expanding over the maximum", async () => {
+    const user = await addUser();
+    const auth = await request(app)
+      .post("/api/1.0/auth")
+      .send({ email: "user1@mail.com", password: "P@ssw0rd" });
+    const response = await request(app)
+      .put(`/api/1.0/users/${user.id}`)
+      .set("Authorization", `Bearer ${auth.body.token}`)
+      .send({ username: "\ufb03".repeat(12) });
+    expect(response.status).toBe(400);
+    expect(response.body.validationErrors.username).toBe(en.username_size);
+  });
+
+  it("authenticates with email in different case", async () => {
+    await addUser("user1", "user1@mail.com");
+    const response = await request(app)
+      .post("/api/1.0/auth")
+      .send({ email: "USER1@mail.com", password: "P@ssw0rd" });
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+  });
+});
+
+describe("User Identity Migration", () => {
+  it("reports users whose emails or usernames collide after normalization", () => {
+    const duplicates = findDuplicates([
+      { id: 1, username: "user1", email: "user1@mail.com" },
+      { id: 2, username: "USER1", email: "other@mail.com" },
+      { id: 3, username: "user3", email: "User1@Mail.com" },
+      { id: 4, username: "user4", email: "user4@mail.com" },
+    ]);
+    expect(duplicates).toEqual([
+      { field: "email", value: "user1@mail.com", ids: [1, 3] },
+      { field: "username", value: "user1", ids: [1, 2] },
+    ]);
+  });
+
+  it("leaves the table untouched when there are duplicates", async () => {
+    const first = await addUser("user1", "user1@mail.com");
+    const second = await addUser("user2", "user2@mail.com");
+    await sequelize.query("UPDATE users SET email = ? WHERE id = ?", {
+      replacements: ["User1@mail.com", second.id],
+    });
+    const result = await up();
+    expect(result.migrated).toBe(false);
+    expect(result.duplicates).toEqual([
+      {
+        field: "email",
+        value: "user1@mail.com",
+        ids: [first.id, second.id],
+      },
+    ]);
+    await second.reload();
+    expect(second.email).toBe("User1@mail.com");
+  });
+
+  it("normalizes existing rows when there are no duplicates", async () => {
+    const user = await addUser("user1", "user1@mail.com");
+    await sequelize.query(
+      "UPDATE users SET email = ?, usernameKey = NULL WHERE id = ?",
+      { replacements: ["User1@Mail.com", user.id] },
+    );
+    const result = await up();
+    expect(result.migrated).toBe(true);
+    await user.reload();
+    expect(user.email).toBe("user1@mail.com");
+    expect(user.usernameKey).toBe("user1");
+  });
+});
@@ -1,6 +1,7 @@
 const request = require("supertest");
 const app = require("../src/app");
 const User = require("../src/user/User");
+const Follow = require("../src/follow/Follow");
 const sequelize = require("../src/config/database");
 const en = require("../locales/en/translation.json");
 const tr = require("../locales/tr/translation.json");
@@ -140,6 +141,133 @@ describe("Listing Users", () => {
   });
 });
 
+describe("Filtering and Sorting Users", () => {
+  const addNamedUsers = async (usernames) => {
+    const users = [];
+    for (const [index, username] of usernames.entries()) {
+      users.push(
+        await User.create({
+          username,
+          email: `user${index + 1}@mail.com`,
+          inactive: false,
+          createdAt: new Date(Date.UTC(2024, 0, index + 1)),
+        }),
+      );
+    }
+    return users;
+  };
+
+  const usernamesOf = (response) =>
+    response.body.content.map((user) => user.username);
+
+  it("returns users whose username starts with the given prefix", async () => {
+    await addNamedUsers(["alice", "alfred", "bob", "malia"]);
+    const response = await getUsers().query({ username: "al" });
+    expect(usernamesOf(response)).toEqual(["alice", "alfred"]);
+    expect(response.body.totalPages).toBe(1);
+  });
+
+  it("ignores case of the username prefix", async () => {
+    await addNamedUsers(["Alice", "bob"]);
+    const response = await getUsers().query({ username: "aLI" });
+    expect(usernamesOf(response)).toEqual(["Alice"]);
+  });
+
+  it("treats like wildcards in the prefix as plain characters", async () => {
+    await addNamedUsers(["a_user", "abuser"]);
+    const response = await getUsers().query({ username: "a_" });
+    expect(usernamesOf(response)).toEqual(["a_user"]);
+  });
+
+  it.each`
+    sort               | direction | expected
+    ${"username"}      | ${"asc"}  | ${["alice", "Bob", "carol"]}
+    ${"username"}      | ${"desc"} | ${["carol", "Bob", "alice"]}
+    ${"createdAt"}     | ${"asc"}  | ${["Bob", "carol", "alice"]}
+    ${"createdAt"}     | ${"desc"} | ${["alice", "carol", "Bob"]}
+    ${"followerCount"} | ${"asc"}  | ${["alice", "carol", "Bob"]}
+    ${"followerCount"} | ${"desc"} | ${["Bob", "carol", "alice"]}
+  `(
+    "sorts users by $sort in $direction order",
+    async ({ sort, direction, expected }) => {
+      const [bob, carol, alice] = await addNamedUsers([
+        "Bob",
+        "carol",
+        "alice",
+      ]);
+      await Follow.create({ followerId: carol.id, followingId: bob.id });
+      await Follow.create({ followerId: alice.id, followingId: bob.id });
+      await Follow.create({ followerId: bob.id, followingId: carol.id });
+      const response = await getUsers().query({ sort, direction });
+      expect(usernamesOf(response)).toEqual(expected);
+    },
+  );
+
+  it("sorts in ascending order when direction is not set", async () => {
+    await addNamedUsers(["bob", "alice"]);
+    const response = await getUsers().query({ sort: "username" });
+    expect(usernamesOf(response)).toEqual(["alice", "bob"]);
+  });
+
+  it("returns users in id order when sort is not set", async () => {
+    await addNamedUsers(["bob", "alice", "carol"]);
+    const response = await getUsers();
+    expect(usernamesOf(response)).toEqual(["bob", "alice", "carol"]);
+  });
+
+  it("returns requested join date and follower count fields", async () => {
+    const [bob, alice] = await addNamedUsers(["bob", "alice"]);
+    await Follow.create({ followerId: alice.id, followingId: bob.id });
+    const response = await getUsers().query({
+      fields: "createdAt,followerCount",
+    });
+    expect(Object.keys(response.body.content[0])).toEqual([
+      "id",
+      "username",
+      "email",
+      "image",
+      "createdAt",
+      "followerCount",
+    ]);
+    expect(response.body.content[0].followerCount).toBe(1);
+    expect(response.body.content[0].createdAt).toBe(
+      new Date(Date.UTC(2024, 0, 1)).toISOString(),
+    );
+  });
+
+  it("leaves inactive followers out of the follower count", async () => {
+    const [bob, alice] = await addNamedUsers(["bob", "alice"]);
+    const hash = await bcrypt.hash("P@ssw0rd", 10);
+    const inactive = await User.create({
+      username: "inactive",
+      email: "inactive@mail.com",
+      password: hash,
+      inactive: true,
+    });
+    await Follow.create({ followerId: alice.id, followingId: bob.id });
+    await Follow.create({ followerId: inactive.id, followingId: bob.id });
+    const response = await getUsers().query({ fields: "followerCount" });
+    expect(response.body.content[0].followerCount).toBe(1);
+  });
+
+  it.each`
+    language | field          | value         | message
+    ${"tr"}  | ${"sort"}      | ${"password"} | ${tr.user_sort_invalid}
+    ${"tr"}  | ${"direction"} | ${"up"}       | ${tr.sort_direction_invalid}
+    ${"en"}  | ${"sort"}      | ${"password"} | ${en.user_sort_invalid}
+    ${"en"}  | ${"direction"} | ${"up"}       | ${en.sort_direction_invalid}
+  `(
+    "returns 400 with $message when $field is $value and language is $language",
+    async ({ language, field, value, message }) => {
+      const response = await getUsers()
+        .query({ [field]: value })
+        .set("Accept-Language", language);
+      expect(response.status).toBe(400);
+      expect(response.body.validationErrors[field]).toBe(message);
+    },
+  );
+});
+
 describe("Get User", () => {
   const getUser = (id = 5) => {
     return request(app).get("/api/1.0/users/" + id);
@@ -181,7 +309,7 @@ describe("Get User", () => {
     expect(response.status).toBe(200);
   });
 
-  it("return id, username, email and image in response body when active user exists", async () => {
+  it("return id, username, email, image and follow counts in response body when active user exists", async () => {
     const user = await User.create({
       username: "user1",
       email: "user1@mail.com",
@@ -189,7 +317,21 @@ describe("Get User", () => {
     });
 
     const response = await getUser(user.id);
-    expect(Object.keys(response.body)).toEqual(["id", "username", "email", "image"]);
+    expect(Object.keys(response.body)).toEqual([
+      "id",
+      "username",
+      "email",
+      "image",
+      "displayName",
+      "bio",
+      "location",
+      "website",
+      "private",
+      "followerCount",
+      "followingCount",
+      "pinnedHoaxes",
+      "relationship",
+    ]);
   });
 
   it("return 404 when an user is inactive", async () => {
@@ -0,0 +1,145 @@
+const request = require("supertest");
+const app = require("../src/app");
+const User = require("../src/user/User");
+const sequelize = require("../src/config/database");
+const bcrypt = require("bcrypt");
+const en = require("../locales/en/translation.json");
+const tr = require("../locales/tr/translation.json");
+
+beforeAll(async () => {
+  await sequelize.sync();
+});
+
+beforeEach(async () => {
+  await User.destroy({ truncate: { cascade: true } });
+});
+
+const credentials = { email: "user1@mail.com", password: "P@ssw0rd" };
+
+const addUser = async (index = 1, fields = {}) => {
+  const hash = await bcrypt.hash("P@ssw0rd", 10);
+  return await User.create({
+    username: `user${index}`,
+    email: `user${index}@mail.com`,
+    password: hash,
+    inactive: false,
+    ...fields,
+  });
+};
+
+const putUser = async (id, body = null, options = {}) => {
+  const response = await request(app).post("/api/1.0/auth").send(credentials);
+  const agent = request(app)
+    .put(`/api/1.0/users/${id}`)
+    .set("Authorization", `Bearer ${response.body.token}`);
+  if (options.language) {
+    agent.set("Accept-Language", options.language);
+  }
+  return agent.send(body);
+};
+
+const profile = {
+  displayName: "User One",
+  bio: "Writing hoaxes\nsince 2020",
+  location: "Istanbul",
+  website: "https://user1.example.com",
+};
+
+describe("User Profile", () => {
+  it("saves profile fields", async () => {
+    const user = await addUser();
+    const response = await putUser(user.id, profile);
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user.displayName).toBe(profile.displayName);
+    expect(user.bio).toBe(profile.bio);
+    expect(user.location).toBe(profile.location);
+    expect(user.website).toBe(profile.website);
+  });
+
+  it("returns profile fields from update", async () => {
+    const user = await addUser();
+    const response = await putUser(user.id, profile);
+    expect(response.body.displayName).toBe(profile.displayName);
+    expect(response.body.website).toBe(profile.website);
+  });
+
+  it("keeps the fields which are not sent", async () => {
+    const user = await addUser(1, profile);
+    await putUser(user.id, { bio: "New bio" });
+    await user.reload();
+    expect(user.username).toBe("user1");
+    expect(user.displayName).toBe(profile.displayName);
+    expect(user.bio).toBe("New bio");
+  });
+
+  it("clears a field when it is sent empty", async () => {
+    const user = await addUser(1, profile);
+    await putUser(user.id, { location: "" });
+    await user.reload();
+    expect(user.location).toBeNull();
+  });
+
+  it.each`
+    field            | value                                      | message
+    ${"displayName"} | ${"a".repeat(51)}                          | ${"display_name_size"}
+    ${"displayName"} | ${"User\u0007One"}                         | ${"profile_control_characters"}
+    ${"bio"}         | ${"a".repeat(161)}                         | ${"bio_size"}
+    ${"bio"}         | ${"Bio\u0000"}                             | ${"profile_control_characters"}
+    ${"location"}    | ${"a".repeat(31)}                          | ${"location_size"}
+    ${"location"}    | ${"Line\nBreak"}                           | ${"profile_control_characters"}
+    ${"website"}     | ${"not a url"}                             | ${"website_invalid"}
+    ${"website"}     | ${"ftp://user1.example.com"}               | ${"website_invalid"}
+    ${"website"}     | ${"https://example.com/" + "a".repeat(90)} | ${"website_size"}
+  `(
+    "returns $message when $field is invalid",
+    async ({ field, value, message }) => {
+      const user = await addUser();
+      for (const language of ["tr", "en"]) {
+        const response = await putUser(
+          user.id,
+          { [field]: value },
+          { language },
+        );
+        const translations = language === "tr" ? tr : en;
+        expect(response.status).toBe(400);
+        expect(response.body.validationErrors[field]).toBe(
+          translations[message],
+        );
+      }
+    },
+  );
+
+  it("returns profile fields from user fetch", async () => {
+    const user = await addUser(1, profile);
+    const response = await request(app).get(`/api/1.0/users/${user.id}`);
+    expect(response.body.displayName).toBe(profile.displayName);
+    expect(response.body.bio).toBe(profile.bio);
+  });
+
+  it("leaves profile fields out of the user list by default", async () => {
+    await addUser(1, profile);
+    const response = await request(app).get("/api/1.0/users");
+    expect(Object.keys(response.body.content[0])).toEqual([
+      "id",
+      "username",
+      "email",
+      "image",
+    ]);
+  });
+
+  it("returns requested profile fields in the user list", async () => {
+    await addUser(1, profile);
+    const response = await request(app)
+      .get("/api/1.0/users")
+      .query({ fields: "displayName,bio,password" });
+    expect(Object.keys(response.body.content[0])).toEqual([
+      "id",
+      "username",
+      "email",
+      "image",
+      "displayName",
+      "bio",
+    ]);
+  });
+});
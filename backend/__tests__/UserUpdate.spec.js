@@ -159,7 +159,7 @@ describe("User Update", () => {
     expect(inDBUser.image).toBeTruthy();
   });
 
-  it("returns success body having only id, username, email and image", async () => {
+  it("returns success body having only id, username, email, image, profile fields and settings", async () => {
     const fileInBase64 = readFileasBase64();
     const savedUser = await addUser();
     const validUpdate = { username: "user1-updated", image: fileInBase64 };
@@ -171,6 +171,12 @@ describe("User Update", () => {
       "username",
       "email",
       "image",
+      "displayName",
+      "bio",
+      "location",
+      "website",
+      "expandSensitive",
+      "private",
     ]);
   });
 
@@ -17,4 +17,17 @@ module.exports = {
   },
   uploadDir: "uploads-dev",
   profileDir: "profile",
+  attachmentDir: "attachment",
+  exportDir: "export",
+  attachmentSizeLimit: 5 * 1024 * 1024,
+  replyDepthLimit: 3,
+  reactionTypes: ["like", "love", "laugh", "sad", "angry"],
+  hoaxEditWindow: 15 * 60 * 1000,
+  scheduleHorizon: 30 * 24 * 60 * 60 * 1000,
+  pinLimit: 3,
+  emailChangeTokenLifetime: 24 * 60 * 60 * 1000,
+  emailRevertWindow: 7 * 24 * 60 * 60 * 1000,
+  accountDeletionGracePeriod: 30 * 24 * 60 * 60 * 1000,
+  exportLinkLifetime: 2 * 24 * 60 * 60 * 1000,
+  exportBuildTimeout: 60 * 60 * 1000,
 };
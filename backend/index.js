@@ -3,6 +3,10 @@ const sequelize = require("./src/config/database");
 const User = require("./src/user/User");
 const bcrypt = require("bcrypt");
 const TokenService = require("./src/auth/TokenService");
+const FileService = require("./src/file/FileService");
+const DraftService = require("./src/draft/DraftService");
+const UserService = require("./src/user/UserService");
+const ExportService = require("./src/export/ExportService");
 
 const addUsers = async (activeUserCount, inactiveUserCount = 0) => {
   const hash = await bcrypt.hash("P@ssw0rd", 10);
@@ -21,5 +25,9 @@ sequelize.sync({ force: true }).then(async () => {
 });
 
 TokenService.scheduleCleanup();
+DraftService.schedulePublisher();
+FileService.scheduleAttachmentCleanup();
+UserService.schedulePurge();
+ExportService.scheduleCleanup();
 
 app.listen(8080, () => console.log("Application running on port 8080"));
@@ -0,0 +1,106 @@
+// Normalizes the emails and usernames saved before they were unique and case
+// insensitive, then adds the unique indexes. Rows which collide after
+// normalization cannot be merged automatically, so they are reported and the
+// migration stops without touching the table.
+//
+// Run it before starting the application on an existing database:
+//   cross-env NODE_ENV=development node migrations/normalize-user-identities
+const Sequelize = require("sequelize");
+const sequelize = require("../src/config/database");
+const {
+  normalizeEmail,
+  normalizeUsername,
+  usernameKey,
+} = require("../src/shared/normalization");
+
+const groupDuplicates = (users, field, keyOf) => {
+  const groups = {};
+  users
+    .filter((user) => user[field])
+    .forEach((user) => {
+      const key = keyOf(user[field]);
+      groups[key] = groups[key] || [];
+      groups[key].push(user.id);
+    });
+  return Object.entries(groups)
+    .filter(([, ids]) => ids.length > 1)
+    .map(([value, ids]) => ({ field, value, ids }));
+};
+
+const findDuplicates = (users) => {
+  return [
+    ...groupDuplicates(users, "email", normalizeEmail),
+    ...groupDuplicates(users, "username", usernameKey),
+  ];
+};
+
+const up = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+  const users = await sequelize.query("SELECT id, username, email FROM users", {
+    type: Sequelize.QueryTypes.SELECT,
+  });
+  const duplicates = findDuplicates(users);
+  if (duplicates.length > 0) {
+    return { migrated: false, duplicates };
+  }
+
+  const columns = await queryInterface.describeTable("users");
+  if (!columns.usernameKey) {
+    await queryInterface.addColumn("users", "usernameKey", {
+      type: Sequelize.STRING,
+    });
+  }
+  for (const user of users) {
+    await sequelize.query(
+      "UPDATE users SET username = ?, usernameKey = ?, email = ? WHERE id = ?",
+      {
+        replacements: [
+          user.username ? normalizeUsername(user.username) : null,
+          user.username ? usernameKey(user.username) : null,
+          user.email ? normalizeEmail(user.email) : null,
+          user.id,
+        ],
+      },
+    );
+  }
+  const indexes = await queryInterface.showIndex("users");
+  for (const field of ["email", "usernameKey"]) {
+    const exists = indexes.some(
+      (index) =>
+        index.unique &&
+        index.fields.length === 1 &&
+        index.fields[0].attribute === field,
+    );
+    if (!exists) {
+      await queryInterface.addIndex("users", [field], { unique: true });
+    }
+  }
+  return { migrated: true, duplicates };
+};
+
+if (require.main === module) {
+  up()
+    .then(({ migrated, duplicates }) => {
+      duplicates.forEach(({ field, value, ids }) => {
+        console.log(
+          `Duplicate ${field} "${value}" for users ${ids.join(", ")}`,
+        );
+      });
+      if (!migrated) {
+        console.log("Resolve the duplicates above and run the migration again");
+        process.exitCode = 1;
+        return;
+      }
+      console.log("User emails and usernames are normalized");
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
+
+module.exports = {
+  findDuplicates,
+  up,
+};
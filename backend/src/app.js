@@ -6,13 +6,26 @@ const errorHandler = require("./error/ErrorHandler");
 
 const UserRouter = require("./user/UserRouter");
 const AuthenticationRouter = require("./auth/AuthenticationRouter");
+const HoaxRouter = require("./hoax/HoaxRouter");
+const ReactionRouter = require("./reaction/ReactionRouter");
+const FollowRouter = require("./follow/FollowRouter");
+const TagRouter = require("./tag/TagRouter");
+const NotificationRouter = require("./notification/NotificationRouter");
+const SearchRouter = require("./search/SearchRouter");
+const BookmarkRouter = require("./bookmark/BookmarkRouter");
+const DraftRouter = require("./draft/DraftRouter");
+const PollRouter = require("./poll/PollRouter");
+const ModerationRouter = require("./moderation/ModerationRouter");
+const ExportRouter = require("./export/ExportRouter");
+const BlockRouter = require("./block/BlockRouter");
 const tokenAuthentication = require("./middleware/tokenAuthentication");
 const FileService = require("./file/FileService");
 const config = require("config");
 const path = require("path");
 
-const { uploadDir, profileDir } = config;
+const { uploadDir, profileDir, attachmentDir } = config;
 const profileFolder = path.join(".", uploadDir, profileDir);
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
 
 const ONE_YEAR_IN_MILLIS = 365 * 24 * 60 * 60 * 1000;
 
@@ -45,10 +58,27 @@ app.use(
   express.static(profileFolder, { maxAge: ONE_YEAR_IN_MILLIS }),
 );
 
+app.use(
+  "/attachments",
+  express.static(attachmentFolder, { maxAge: ONE_YEAR_IN_MILLIS }),
+);
+
 app.use(tokenAuthentication);
 
 app.use(UserRouter);
 app.use(AuthenticationRouter);
+app.use(HoaxRouter);
+app.use(ReactionRouter);
+app.use(FollowRouter);
+app.use(TagRouter);
+app.use(NotificationRouter);
+app.use(SearchRouter);
+app.use(BookmarkRouter);
+app.use(DraftRouter);
+app.use(PollRouter);
+app.use(ModerationRouter);
+app.use(ExportRouter);
+app.use(BlockRouter);
 
 app.use(errorHandler);
 
@@ -7,6 +7,26 @@ const AuthenticationException = require("./AuthenticationException");
 const ForbiddenException = require("../error/ForbidenException");
 const { check, validationResult } = require("express-validator");
 
+const findUserByCredentials = async ({ email, password }) => {
+  const user = await UserService.findByEmail(email);
+  if (!user) {
+    return null;
+  }
+  const match = await bcrypt.compare(password, user.password);
+  return match ? user : null;
+};
+
+const sendAuthenticated = async (user, res) => {
+  const token = await TokenService.createToken(user);
+
+  res.status(200).send({
+    id: user.id,
+    username: user.username,
+    image: user.image,
+    token,
+  });
+};
+
 router.post(
   "/api/1.0/auth",
   check("email").isEmail(),
@@ -15,29 +35,44 @@ router.post(
     if (!errors.isEmpty()) {
       return next(new AuthenticationException());
     }
-    const { email, password } = req.body;
-    const user = await UserService.findByEmail(email);
+    const user = await findUserByCredentials(req.body);
     if (!user) {
       return next(new AuthenticationException());
     }
-    const match = await bcrypt.compare(password, user.password);
 
-    if (!match) {
-      return next(new AuthenticationException());
+    // a deleted account can still be restored with the same credentials
+    // through /api/1.0/auth/restore until the grace period is over
+    if (UserService.isRestorable(user)) {
+      return next(new ForbiddenException("account_pending_deletion"));
     }
 
     if (user.inactive) {
       return next(new ForbiddenException());
     }
 
-    const token = await TokenService.createToken(user);
+    await sendAuthenticated(user, res);
+  },
+);
+
+router.post(
+  "/api/1.0/auth/restore",
+  check("email").isEmail(),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new AuthenticationException());
+    }
+    const user = await findUserByCredentials(req.body);
+    if (!user) {
+      return next(new AuthenticationException());
+    }
+
+    if (!UserService.isRestorable(user)) {
+      return next(new ForbiddenException("account_restore_unavailable"));
+    }
 
-    res.status(200).send({
-      id: user.id,
-      username: user.username,
-      image: user.image,
-      token,
-    });
+    await UserService.restoreUser(user);
+    await sendAuthenticated(user, res);
   },
 );
 
@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Block extends Model {}
+
+Block.init(
+  {},
+  {
+    sequelize,
+    modelName: "block",
+    indexes: [{ unique: true, fields: ["blockerId", "blockedId"] }],
+  },
+);
+
+module.exports = Block;
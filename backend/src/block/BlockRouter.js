@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const BlockService = require("./BlockService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const pagination = require("../middleware/pagination");
+
+router.post("/api/1.0/users/:id/block", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_block"));
+  }
+  try {
+    await BlockService.block(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/users/:id/block", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_block"));
+  }
+  await BlockService.unblock(req.params.id, req.authenticatedUser);
+  res.send();
+});
+
+router.get("/api/1.0/blocks", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_block"));
+  }
+  const { page, size } = req.pagination;
+  const users = await BlockService.getBlockedUsers(
+    req.authenticatedUser,
+    page,
+    size,
+  );
+  res.send(users);
+});
+
+router.post("/api/1.0/users/:id/mute", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_mute"));
+  }
+  try {
+    await BlockService.mute(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/users/:id/mute", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_mute"));
+  }
+  await BlockService.unmute(req.params.id, req.authenticatedUser);
+  res.send();
+});
+
+router.get("/api/1.0/mutes", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_mute"));
+  }
+  const { page, size } = req.pagination;
+  const users = await BlockService.getMutedUsers(
+    req.authenticatedUser,
+    page,
+    size,
+  );
+  res.send(users);
+});
+
+module.exports = router;
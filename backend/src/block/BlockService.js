@@ -0,0 +1,130 @@
+const Sequelize = require("sequelize");
+const Block = require("./Block");
+const Mute = require("./Mute");
+const Follow = require("../follow/Follow");
+const FollowRequest = require("../follow/FollowRequest");
+const User = require("../user/User");
+const NotFoundException = require("../error/NotFoundException");
+const ValidationException = require("../error/ValidationException");
+const { isSelf } = require("../shared/authorization");
+
+const findTarget = async (id, authenticatedUser, selfMessage) => {
+  const user = await User.findOne({ where: { id: id } });
+  if (!user) {
+    throw new NotFoundException("user_not_found");
+  }
+  if (isSelf(authenticatedUser, user.id)) {
+    throw new ValidationException([{ path: "id", msg: selfMessage }]);
+  }
+  return user;
+};
+
+// a block ends the follow relationship and pending follow requests in both
+// directions
+const block = async (id, authenticatedUser) => {
+  const user = await findTarget(id, authenticatedUser, "block_self");
+  await Block.findOrCreate({
+    where: { blockerId: authenticatedUser.id, blockedId: user.id },
+  });
+  const relations = {
+    [Sequelize.Op.or]: [
+      { followerId: authenticatedUser.id, followingId: user.id },
+      { followerId: user.id, followingId: authenticatedUser.id },
+    ],
+  };
+  await Follow.destroy({ where: relations });
+  await FollowRequest.destroy({ where: relations });
+};
+
+const unblock = async (id, authenticatedUser) => {
+  await Block.destroy({
+    where: { blockerId: authenticatedUser.id, blockedId: id },
+  });
+};
+
+const mute = async (id, authenticatedUser) => {
+  const user = await findTarget(id, authenticatedUser, "mute_self");
+  await Mute.findOrCreate({
+    where: { muterId: authenticatedUser.id, mutedId: user.id },
+  });
+};
+
+const unmute = async (id, authenticatedUser) => {
+  await Mute.destroy({
+    where: { muterId: authenticatedUser.id, mutedId: id },
+  });
+};
+
+const getRelatedUsers = async (model, where, as, page, size) => {
+  const relationsWithCount = await model.findAndCountAll({
+    where,
+    attributes: [],
+    include: {
+      model: User,
+      as,
+      attributes: ["id", "username", "image"],
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: relationsWithCount.rows.map((relation) => relation[as]),
+    page,
+    size,
+    totalPages: Math.ceil(relationsWithCount.count / size),
+  };
+};
+
+const getBlockedUsers = async (authenticatedUser, page, size) => {
+  return getRelatedUsers(
+    Block,
+    { blockerId: authenticatedUser.id },
+    "blocked",
+    page,
+    size,
+  );
+};
+
+const getMutedUsers = async (authenticatedUser, page, size) => {
+  return getRelatedUsers(
+    Mute,
+    { muterId: authenticatedUser.id },
+    "muted",
+    page,
+    size,
+  );
+};
+
+const isBlocked = async (userId, otherUserId) => {
+  const count = await Block.count({
+    where: {
+      [Sequelize.Op.or]: [
+        { blockerId: userId, blockedId: otherUserId },
+        { blockerId: otherUserId, blockedId: userId },
+      ],
+    },
+  });
+  return count > 0;
+};
+
+const getRelationship = async (userId, otherUserId) => {
+  const blocking = await Block.count({
+    where: { blockerId: userId, blockedId: otherUserId },
+  });
+  const muting = await Mute.count({
+    where: { muterId: userId, mutedId: otherUserId },
+  });
+  return { blocking: blocking > 0, muting: muting > 0 };
+};
+
+module.exports = {
+  block,
+  unblock,
+  mute,
+  unmute,
+  getBlockedUsers,
+  getMutedUsers,
+  isBlocked,
+  getRelationship,
+};
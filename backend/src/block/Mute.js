@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Mute extends Model {}
+
+Mute.init(
+  {},
+  {
+    sequelize,
+    modelName: "mute",
+    indexes: [{ unique: true, fields: ["muterId", "mutedId"] }],
+  },
+);
+
+module.exports = Mute;
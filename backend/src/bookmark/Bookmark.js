@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Bookmark extends Model {}
+
+Bookmark.init(
+  {},
+  {
+    sequelize,
+    modelName: "bookmark",
+    indexes: [{ unique: true, fields: ["userId", "hoaxId"] }],
+  },
+);
+
+module.exports = Bookmark;
@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const BookmarkService = require("./BookmarkService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const pagination = require("../middleware/pagination");
+
+router.post("/api/1.0/hoaxes/:id/bookmark", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_bookmark"));
+  }
+  try {
+    await BookmarkService.bookmark(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/hoaxes/:id/bookmark", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_bookmark"));
+  }
+  await BookmarkService.removeBookmark(req.params.id, req.authenticatedUser);
+  res.send();
+});
+
+router.get("/api/1.0/bookmarks", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_bookmark"));
+  }
+  const { page, size } = req.pagination;
+  const bookmarks = await BookmarkService.getBookmarks(
+    req.authenticatedUser,
+    page,
+    size,
+  );
+  res.send(bookmarks);
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const Bookmark = require("./Bookmark");
+const HoaxService = require("../hoax/HoaxService");
+const NotFoundException = require("../error/NotFoundException");
+
+const bookmark = async (hoaxId, user) => {
+  const hoax = await HoaxService.findVisibleHoax(hoaxId, user);
+  if (!hoax) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  await Bookmark.findOrCreate({ where: { hoaxId: hoax.id, userId: user.id } });
+};
+
+const removeBookmark = async (hoaxId, user) => {
+  await Bookmark.destroy({ where: { hoaxId, userId: user.id } });
+};
+
+const getBookmarks = async (user, page, size) => {
+  const bookmarksWithCount = await Bookmark.findAndCountAll({
+    where: { userId: user.id },
+    attributes: ["hoaxId"],
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  const hoaxIds = bookmarksWithCount.rows.map((bookmark) => bookmark.hoaxId);
+  return {
+    content: await HoaxService.getHoaxesByIds(hoaxIds, user),
+    page,
+    size,
+    totalPages: Math.ceil(bookmarksWithCount.count / size),
+  };
+};
+
+module.exports = {
+  bookmark,
+  removeBookmark,
+  getBookmarks,
+};
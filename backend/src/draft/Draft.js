@@ -0,0 +1,47 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const FileAttachment = require("../file/FileAttachment");
+
+const Model = Sequelize.Model;
+
+class Draft extends Model {}
+
+Draft.init(
+  {
+    content: {
+      type: Sequelize.TEXT,
+    },
+    timestamp: {
+      type: Sequelize.BIGINT,
+    },
+    scheduledAt: {
+      type: Sequelize.BIGINT,
+    },
+    visibility: {
+      type: Sequelize.STRING,
+      defaultValue: "public",
+    },
+    contentWarning: {
+      type: Sequelize.STRING,
+    },
+    sensitive: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    // the poll is created along with the hoax when the draft is published
+    poll: {
+      type: Sequelize.JSON,
+    },
+  },
+  {
+    sequelize,
+    modelName: "draft",
+    timestamps: false,
+  },
+);
+
+// the attachment outlives the draft so it can move over to the published hoax
+Draft.hasOne(FileAttachment, { onDelete: "SET NULL", foreignKey: "draftId" });
+FileAttachment.belongsTo(Draft);
+
+module.exports = Draft;
@@ -0,0 +1,117 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const config = require("config");
+const DraftService = require("./DraftService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const ValidationException = require("../error/ValidationException");
+const pagination = require("../middleware/pagination");
+const attachmentValidation = require("../file/attachmentValidation");
+const {
+  contentValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+} = require("../hoax/hoaxValidation");
+
+const scheduleValidation = check("scheduledAt")
+  .optional({ values: "null" })
+  .isInt()
+  .withMessage("schedule_invalid")
+  .bail()
+  .custom((scheduledAt) => {
+    const now = Date.now();
+    if (Number(scheduledAt) <= now) {
+      throw new Error("schedule_past");
+    }
+    if (Number(scheduledAt) > now + config.scheduleHorizon) {
+      throw new Error("schedule_horizon");
+    }
+    return true;
+  });
+
+// a poll of a scheduled draft has to stay open past the publish time
+const pollScheduleValidation = check("poll.expiresAt")
+  .if(check("poll").exists())
+  .if(check("scheduledAt").exists({ values: "null" }))
+  .custom(
+    (expiresAt, { req }) => Number(expiresAt) > Number(req.body.scheduledAt),
+  )
+  .withMessage("poll_expiry_invalid");
+
+const draftValidation = [
+  contentValidation,
+  scheduleValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+  pollScheduleValidation,
+  attachmentValidation,
+];
+
+router.post("/api/1.0/drafts", draftValidation, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_drafts"));
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()));
+  }
+  await DraftService.save(req.body, req.authenticatedUser);
+  return res.send({ message: req.t("draft_save_success") });
+});
+
+router.put("/api/1.0/drafts/:id", draftValidation, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_drafts"));
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()));
+  }
+  try {
+    await DraftService.update(req.params.id, req.body, req.authenticatedUser);
+    return res.send({ message: req.t("draft_update_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/drafts/:id", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_drafts"));
+  }
+  try {
+    await DraftService.deleteDraft(req.params.id, req.authenticatedUser);
+    return res.send({ message: req.t("draft_delete_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/1.0/drafts", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_drafts"));
+  }
+  const { page, size } = req.pagination;
+  const drafts = await DraftService.getDrafts(
+    req.authenticatedUser,
+    page,
+    size,
+  );
+  res.send(drafts);
+});
+
+router.post("/api/1.0/drafts/:id/publish", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_drafts"));
+  }
+  try {
+    await DraftService.publish(req.params.id, req.authenticatedUser);
+    return res.send({ message: req.t("hoax_submit_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
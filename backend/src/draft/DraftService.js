@@ -0,0 +1,193 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const Draft = require("./Draft");
+const User = require("../user/User");
+const FileAttachment = require("../file/FileAttachment");
+const FileService = require("../file/FileService");
+const HoaxService = require("../hoax/HoaxService");
+const NotFoundException = require("../error/NotFoundException");
+
+// the fields the hoax is published with, as they were validated for it
+const draftFields = (body) => ({
+  content: body.content,
+  scheduledAt: body.scheduledAt || null,
+  visibility: body.visibility || "public",
+  contentWarning: body.contentWarning || null,
+  sensitive: Boolean(body.sensitive),
+  poll: body.poll
+    ? { options: body.poll.options, expiresAt: Number(body.poll.expiresAt) }
+    : null,
+});
+
+const save = async (body, user) => {
+  const draft = await Draft.create({
+    ...draftFields(body),
+    timestamp: Date.now(),
+    userId: user.id,
+  });
+  if (body.fileAttachment) {
+    await FileService.associateFileToDraft(
+      body.fileAttachment,
+      draft.id,
+      user.id,
+    );
+  }
+};
+
+const findDraft = async (draftId, user) => {
+  const draft = await Draft.findOne({
+    where: { id: draftId, userId: user.id },
+    include: { model: FileAttachment, as: "fileAttachment" },
+  });
+  if (!draft) {
+    throw new NotFoundException("draft_not_found");
+  }
+  return draft;
+};
+
+const removeAttachment = async (draft) => {
+  await FileService.deleteAttachment(draft.fileAttachment.filename);
+  await draft.fileAttachment.destroy();
+};
+
+// an attachment left out of the update stays with the draft, a null one
+// removes it and a new one takes its place
+const update = async (draftId, body, user) => {
+  const draft = await findDraft(draftId, user);
+  await draft.update(draftFields(body));
+  if (body.fileAttachment === undefined) {
+    return;
+  }
+  if (draft.fileAttachment) {
+    await removeAttachment(draft);
+  }
+  if (body.fileAttachment) {
+    await FileService.associateFileToDraft(
+      body.fileAttachment,
+      draft.id,
+      user.id,
+    );
+  }
+};
+
+const deleteDraft = async (draftId, user) => {
+  const draft = await findDraft(draftId, user);
+  if (draft.fileAttachment) {
+    await removeAttachment(draft);
+  }
+  await draft.destroy();
+};
+
+const getDrafts = async (user, page, size) => {
+  const draftsWithCount = await Draft.findAndCountAll({
+    where: { userId: user.id },
+    attributes: [
+      "id",
+      "content",
+      "timestamp",
+      "scheduledAt",
+      "visibility",
+      "contentWarning",
+      "sensitive",
+      "poll",
+    ],
+    include: {
+      model: FileAttachment,
+      as: "fileAttachment",
+      attributes: ["filename", "fileType"],
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  const content = draftsWithCount.rows.map((draft) => {
+    const draftAsJSON = draft.get({ plain: true });
+    if (draftAsJSON.fileAttachment === null) {
+      delete draftAsJSON.fileAttachment;
+    }
+    if (draftAsJSON.contentWarning === null) {
+      delete draftAsJSON.contentWarning;
+    }
+    if (draftAsJSON.poll === null) {
+      delete draftAsJSON.poll;
+    }
+    return draftAsJSON;
+  });
+  return {
+    content,
+    page,
+    size,
+    totalPages: Math.ceil(draftsWithCount.count / size),
+  };
+};
+
+// drafts are published as new hoaxes instead of flipping a flag, so they get
+// an id that sorts them to the top of the feeds at publish time. The hoax is
+// saved, the attachment moved over and the draft removed together, so a
+// failed publish keeps the draft in place
+const publishDraft = async (draft) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const hoax = await HoaxService.save(
+      {
+        content: draft.content,
+        visibility: draft.visibility,
+        contentWarning: draft.contentWarning,
+        sensitive: draft.sensitive,
+        poll: draft.poll,
+      },
+      { id: draft.userId },
+      null,
+      transaction,
+    );
+    await FileAttachment.update(
+      { hoaxId: hoax.id, draftId: null },
+      { where: { draftId: draft.id }, transaction },
+    );
+    await draft.destroy({ transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+const publish = async (draftId, user) => {
+  const draft = await findDraft(draftId, user);
+  await publishDraft(draft);
+};
+
+// drafts of accounts pending deletion wait until the account is restored
+const publishScheduledDrafts = async () => {
+  const drafts = await Draft.findAll({
+    where: {
+      scheduledAt: {
+        [Sequelize.Op.lte]: Date.now(),
+      },
+    },
+    include: { model: User, attributes: [], where: { inactive: false } },
+    order: [["scheduledAt", "ASC"]],
+  });
+  for (const draft of drafts) {
+    try {
+      await publishDraft(draft);
+    } catch (error) {
+      // a failing draft must not hold back the others, it is retried on the
+      // next run
+    }
+  }
+};
+
+const schedulePublisher = () => {
+  setInterval(publishScheduledDrafts, 60 * 1000);
+};
+
+module.exports = {
+  save,
+  update,
+  deleteDraft,
+  getDrafts,
+  publish,
+  publishScheduledDrafts,
+  schedulePublisher,
+};
@@ -39,4 +39,68 @@ const sendPasswordReset = async (email, token) => {
   }
 };
 
-module.exports = { sendAccountActivation, sendPasswordReset };
+const sendEmailChangeConfirmation = async (email, token) => {
+  const info = await transporter.sendMail({
+    from: "My App <info@my-app.com>",
+    to: email,
+    subject: "Email Change",
+    html: `
+    <div>
+        <b>Please click below link to confirm your new email address</b>
+    </div>
+    <div>
+    <a href="http://localhost:3000/#/email-change?confirm=${token}">Confirm</a>
+    Token is ${token}
+    </div>`,
+  });
+  if (process.env.NODE_ENV === "development") {
+    console.log("url: " + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+const sendEmailChangeNotice = async (email, newEmail, token) => {
+  const info = await transporter.sendMail({
+    from: "My App <info@my-app.com>",
+    to: email,
+    subject: "Email Changed",
+    html: `
+    <div>
+        <b>The email address of your account is changed to ${newEmail}</b>
+    </div>
+    <div>
+    If you did not make this change, click below link to revert it
+    <a href="http://localhost:3000/#/email-change?revert=${token}">Revert</a>
+    Token is ${token}
+    </div>`,
+  });
+  if (process.env.NODE_ENV === "development") {
+    console.log("url: " + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+const sendDataExport = async (email, userId, token) => {
+  const info = await transporter.sendMail({
+    from: "My App <info@my-app.com>",
+    to: email,
+    subject: "Your Data Export",
+    html: `
+    <div>
+        <b>Your data export is ready, please click below link to download it</b>
+    </div>
+    <div>
+    <a href="http://localhost:3000/#/users/${userId}/export?token=${token}">Download</a>
+    Token is ${token}
+    </div>`,
+  });
+  if (process.env.NODE_ENV === "development") {
+    console.log("url: " + nodemailer.getTestMessageUrl(info));
+  }
+};
+
+module.exports = {
+  sendAccountActivation,
+  sendPasswordReset,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendDataExport,
+};
@@ -0,0 +1,34 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class DataExport extends Model {}
+
+DataExport.init(
+  {
+    status: {
+      type: Sequelize.STRING,
+      defaultValue: "pending",
+    },
+    requestedAt: {
+      type: Sequelize.BIGINT,
+    },
+    filename: {
+      type: Sequelize.STRING,
+    },
+    token: {
+      type: Sequelize.STRING,
+    },
+    expiresAt: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: "dataExport",
+    timestamps: false,
+  },
+);
+
+module.exports = DataExport;
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const ExportService = require("./ExportService");
+const ForbidenException = require("../error/ForbidenException");
+const { isSelf } = require("../shared/authorization");
+
+router.post("/api/1.0/users/:id/export", async (req, res, next) => {
+  if (!isSelf(req.authenticatedUser, req.params.id)) {
+    return next(new ForbidenException("unauthroized_export"));
+  }
+  try {
+    await ExportService.requestExport(req.authenticatedUser.id);
+    return res.status(202).send({ message: req.t("export_request_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/1.0/users/:id/export/:token", async (req, res, next) => {
+  if (!isSelf(req.authenticatedUser, req.params.id)) {
+    return next(new ForbidenException("unauthroized_export"));
+  }
+  try {
+    const archivePath = await ExportService.getExportArchive(
+      req.authenticatedUser.id,
+      req.params.token,
+    );
+    return res.download(archivePath, "hoaxify-export.zip");
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const Sequelize = require("sequelize");
+const config = require("config");
+const DataExport = require("./DataExport");
+const User = require("../user/User");
+const Hoax = require("../hoax/Hoax");
+const Draft = require("../draft/Draft");
+const FileAttachment = require("../file/FileAttachment");
+const Reaction = require("../reaction/Reaction");
+const Bookmark = require("../bookmark/Bookmark");
+const Poll = require("../poll/Poll");
+const PollOption = require("../poll/PollOption");
+const PollVote = require("../poll/PollVote");
+const Follow = require("../follow/Follow");
+const FollowRequest = require("../follow/FollowRequest");
+const Block = require("../block/Block");
+const Mute = require("../block/Mute");
+const EmailChange = require("../user/EmailChange");
+const Token = require("../auth/Token");
+const FileService = require("../file/FileService");
+const EmailService = require("../email/EmailService");
+const NotFoundException = require("../error/NotFoundException");
+const { randomString } = require("../shared/generator");
+
+const profileAttributes = [
+  "id",
+  "username",
+  "email",
+  "image",
+  "displayName",
+  "bio",
+  "location",
+  "website",
+  "expandSensitive",
+  "private",
+  "moderator",
+  "createdAt",
+];
+
+const hoaxAttributes = [
+  "id",
+  "content",
+  "timestamp",
+  "visibility",
+  "contentWarning",
+  "sensitive",
+  "parentId",
+  "repostOfId",
+  "editedAt",
+  "pinnedAt",
+];
+
+// follows, follow requests, blocks and mutes all link the user to others
+// the same way, only the model and the side of the link differ
+const getRelations = async (model, where, as) => {
+  const relations = await model.findAll({
+    where,
+    attributes: ["createdAt"],
+    include: { model: User, as, attributes: ["id", "username"] },
+  });
+  return relations.map((relation) => ({
+    id: relation[as].id,
+    username: relation[as].username,
+    since: relation.createdAt,
+  }));
+};
+
+// attachments of hoaxes and drafts, and uploads not linked to either yet
+const getAttachments = async (userId) => {
+  return await FileAttachment.findAll({
+    attributes: ["filename", "fileType", "uploadDate", "hoaxId", "draftId"],
+    where: {
+      [Sequelize.Op.or]: [
+        { userId },
+        { "$hoax.userId$": userId },
+        { "$draft.userId$": userId },
+      ],
+    },
+    include: [
+      { model: Hoax, attributes: [] },
+      { model: Draft, attributes: [] },
+    ],
+    order: [["id", "ASC"]],
+  });
+};
+
+// session and email change tokens are credentials, so only their usage is
+// exported
+const collectData = async (userId) => {
+  const user = await User.findOne({
+    where: { id: userId },
+    attributes: profileAttributes,
+  });
+  const hoaxes = await Hoax.findAll({
+    where: { userId },
+    attributes: hoaxAttributes,
+    order: [["id", "ASC"]],
+  });
+  const drafts = await Draft.findAll({
+    where: { userId },
+    attributes: [
+      "id",
+      "content",
+      "timestamp",
+      "scheduledAt",
+      "visibility",
+      "contentWarning",
+      "sensitive",
+      "poll",
+    ],
+    order: [["id", "ASC"]],
+  });
+  const attachments = await getAttachments(userId);
+  const reactions = await Reaction.findAll({
+    where: { userId },
+    attributes: ["hoaxId", "type", "createdAt"],
+  });
+  const bookmarks = await Bookmark.findAll({
+    where: { userId },
+    attributes: ["hoaxId", "createdAt"],
+  });
+  const votes = await PollVote.findAll({
+    where: { userId },
+    attributes: ["createdAt"],
+    include: [
+      { model: Poll, attributes: ["hoaxId"] },
+      { model: PollOption, attributes: ["text"] },
+    ],
+  });
+  const sessions = await Token.findAll({
+    where: { userId },
+    attributes: ["id", "lastUsedAt"],
+  });
+  const emailChanges = await EmailChange.findAll({
+    where: { userId },
+    attributes: [
+      "email",
+      "previousEmail",
+      "confirmationExpiresAt",
+      "revertExpiresAt",
+    ],
+  });
+  return {
+    user,
+    documents: {
+      "profile.json": user,
+      "hoaxes.json": hoaxes,
+      "drafts.json": drafts,
+      "attachments.json": attachments,
+      "reactions.json": reactions,
+      "bookmarks.json": bookmarks,
+      "poll-votes.json": votes.map((vote) => ({
+        hoaxId: vote.poll.hoaxId,
+        option: vote.pollOption.text,
+        createdAt: vote.createdAt,
+      })),
+      "follows.json": {
+        following: await getRelations(
+          Follow,
+          { followerId: userId },
+          "following",
+        ),
+        followers: await getRelations(
+          Follow,
+          { followingId: userId },
+          "follower",
+        ),
+      },
+      "follow-requests.json": {
+        sent: await getRelations(
+          FollowRequest,
+          { followerId: userId },
+          "following",
+        ),
+        received: await getRelations(
+          FollowRequest,
+          { followingId: userId },
+          "follower",
+        ),
+      },
+      "blocks.json": await getRelations(
+        Block,
+        { blockerId: userId },
+        "blocked",
+      ),
+      "mutes.json": await getRelations(Mute, { muterId: userId }, "muted"),
+      "sessions.json": sessions,
+      "email-changes.json": emailChanges,
+    },
+    attachments: attachments.map((attachment) => attachment.filename),
+  };
+};
+
+const buildExport = async (dataExport) => {
+  try {
+    const { user, documents, attachments } = await collectData(
+      dataExport.userId,
+    );
+    dataExport.filename = await FileService.saveExportArchive({
+      documents,
+      profileImage: user.image,
+      attachments,
+    });
+    dataExport.token = randomString(16);
+    dataExport.expiresAt = Date.now() + config.exportLinkLifetime;
+    await EmailService.sendDataExport(user.email, user.id, dataExport.token);
+    dataExport.status = "ready";
+  } catch (error) {
+    if (dataExport.filename) {
+      await FileService.deleteExportArchive(dataExport.filename);
+    }
+    dataExport.filename = null;
+    dataExport.token = null;
+    dataExport.status = "failed";
+    // failed requests are cleaned up along with the expired ones
+    dataExport.expiresAt = Date.now() + config.exportLinkLifetime;
+  }
+  await dataExport.save();
+};
+
+// the archive is built in the background, the owner is notified by email
+// once it is ready. A request while another one is pending is ignored, a
+// pending export which outlived its build deadline was lost along the way
+// and is cleaned up like an expired one
+const requestExport = async (userId) => {
+  const pending = await DataExport.findOne({
+    where: {
+      userId,
+      status: "pending",
+      expiresAt: { [Sequelize.Op.gt]: Date.now() },
+    },
+  });
+  if (pending) {
+    return;
+  }
+  const dataExport = await DataExport.create({
+    userId,
+    requestedAt: Date.now(),
+    expiresAt: Date.now() + config.exportBuildTimeout,
+  });
+  // failures are recorded on the export itself, there is nobody left to
+  // report to once the request is answered
+  buildExport(dataExport).catch(() => {});
+};
+
+const getExportArchive = async (userId, token) => {
+  const dataExport = await DataExport.findOne({
+    where: {
+      userId,
+      token,
+      status: "ready",
+      expiresAt: { [Sequelize.Op.gt]: Date.now() },
+    },
+  });
+  if (!dataExport) {
+    throw new NotFoundException("export_not_found");
+  }
+  return FileService.getExportArchivePath(dataExport.filename);
+};
+
+const removeExpiredExports = async () => {
+  const dataExports = await DataExport.findAll({
+    where: { expiresAt: { [Sequelize.Op.lte]: Date.now() } },
+  });
+  for (const dataExport of dataExports) {
+    if (dataExport.filename) {
+      await FileService.deleteExportArchive(dataExport.filename);
+    }
+    await dataExport.destroy();
+  }
+};
+
+const scheduleCleanup = () => {
+  setInterval(removeExpiredExports, 60 * 60 * 1000);
+};
+
+module.exports = {
+  collectData,
+  requestExport,
+  getExportArchive,
+  removeExpiredExports,
+  scheduleCleanup,
+};
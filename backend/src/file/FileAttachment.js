@@ -0,0 +1,27 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class FileAttachment extends Model {}
+
+FileAttachment.init(
+  {
+    filename: {
+      type: Sequelize.STRING,
+    },
+    fileType: {
+      type: Sequelize.STRING,
+    },
+    uploadDate: {
+      type: Sequelize.DATE,
+    },
+  },
+  {
+    sequelize,
+    modelName: "fileAttachment",
+    timestamps: false,
+  },
+);
+
+module.exports = FileAttachment;
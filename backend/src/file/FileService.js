@@ -1,11 +1,28 @@
 const fs = require("fs");
 const path = require("path");
 const config = require("config");
+const Sequelize = require("sequelize");
+const archiver = require("archiver");
 const { randomString } = require("../shared/generator");
 const FileType = require("file-type");
+const FileAttachment = require("./FileAttachment");
+const Hoax = require("../hoax/Hoax");
+const DataExport = require("../export/DataExport");
 
-const { uploadDir, profileDir } = config;
+const { uploadDir, profileDir, attachmentDir, exportDir } = config;
 const profileFolder = path.join(".", uploadDir, profileDir);
+const attachmentFolder = path.join(".", uploadDir, attachmentDir);
+const exportFolder = path.join(".", uploadDir, exportDir);
+
+const ONE_DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+
+const supportedAttachmentTypes = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+];
 
 const createFolders = () => {
   if (!fs.existsSync(uploadDir)) {
@@ -14,6 +31,12 @@ const createFolders = () => {
   if (!fs.existsSync(profileFolder)) {
     fs.mkdirSync(profileFolder);
   }
+  if (!fs.existsSync(attachmentFolder)) {
+    fs.mkdirSync(attachmentFolder);
+  }
+  if (!fs.existsSync(exportFolder)) {
+    fs.mkdirSync(exportFolder);
+  }
 };
 
 const saveProfileImage = async (base64File) => {
@@ -33,16 +56,186 @@ const isLessThan2MB = (buffer) => {
 };
 
 const isSupportedFileType = async (buffer) => {
-  const type = await FileType.fileTypeFromBuffer(buffer);
+  const type = await FileType.fromBuffer(buffer);
   return !type
     ? false
     : type.mime === "image/png" || type.mime === "image/jpeg";
 };
 
+const getSupportedAttachmentType = async (buffer) => {
+  const type = await FileType.fromBuffer(buffer);
+  if (!type || !supportedAttachmentTypes.includes(type.mime)) {
+    return;
+  }
+  return type.mime;
+};
+
+const saveAttachment = async (file, fileType, userId) => {
+  const filename = randomString(32);
+  await fs.promises.writeFile(
+    path.join(attachmentFolder, filename),
+    file.buffer,
+  );
+  const savedAttachment = await FileAttachment.create({
+    filename,
+    fileType,
+    uploadDate: new Date(),
+    userId,
+  });
+  return {
+    id: savedAttachment.id,
+  };
+};
+
+// only the uploader can link a pending attachment, and only once
+const findPendingAttachment = (attachmentId, userId, transaction) => {
+  return FileAttachment.findOne({
+    where: { id: attachmentId, userId, hoaxId: null, draftId: null },
+    transaction,
+  });
+};
+
+const isAttachmentAvailable = async (attachmentId, userId) => {
+  const attachment = await findPendingAttachment(attachmentId, userId);
+  return Boolean(attachment);
+};
+
+const associateFileToHoax = async (
+  attachmentId,
+  hoaxId,
+  userId,
+  transaction,
+) => {
+  const attachment = await findPendingAttachment(
+    attachmentId,
+    userId,
+    transaction,
+  );
+  if (!attachment) {
+    return;
+  }
+  attachment.hoaxId = hoaxId;
+  await attachment.save({ transaction });
+};
+
+const associateFileToDraft = async (attachmentId, draftId, userId) => {
+  const attachment = await findPendingAttachment(attachmentId, userId);
+  if (!attachment) {
+    return;
+  }
+  attachment.draftId = draftId;
+  await attachment.save();
+};
+
+const deleteAttachment = async (filename) => {
+  const filePath = path.join(attachmentFolder, filename);
+  await fs.promises.rm(filePath, { force: true });
+};
+
+// documents are written as json files, media is copied from the upload
+// folders as it is, files which are already gone are left out
+const saveExportArchive = async ({ documents, profileImage, attachments }) => {
+  const filename = `${randomString(32)}.zip`;
+  const media = attachments.map((attachment) => ({
+    source: path.join(attachmentFolder, attachment),
+    name: `media/attachments/${attachment}`,
+  }));
+  if (profileImage) {
+    media.push({
+      source: path.join(profileFolder, profileImage),
+      name: `media/profile/${profileImage}`,
+    });
+  }
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(path.join(exportFolder, filename));
+    const archive = archiver("zip");
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+    archive.pipe(output);
+    for (const [name, content] of Object.entries(documents)) {
+      archive.append(JSON.stringify(content, null, 2), { name });
+    }
+    for (const { source, name } of media) {
+      if (fs.existsSync(source)) {
+        archive.file(source, { name });
+      }
+    }
+    archive.finalize();
+  });
+  return filename;
+};
+
+const getExportArchivePath = (filename) => {
+  return path.resolve(exportFolder, filename);
+};
+
+const deleteExportArchive = async (filename) => {
+  await fs.promises.rm(path.join(exportFolder, filename), { force: true });
+};
+
+const deleteUserFiles = async (user) => {
+  if (user.image) {
+    await fs.promises.rm(path.join(profileFolder, user.image), {
+      force: true,
+    });
+  }
+  const attachments = await FileAttachment.findAll({
+    attributes: ["filename"],
+    include: {
+      model: Hoax,
+      where: { userId: user.id },
+    },
+  });
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment.filename);
+  }
+  const dataExports = await DataExport.findAll({
+    attributes: ["filename"],
+    where: { userId: user.id, filename: { [Sequelize.Op.not]: null } },
+  });
+  for (const dataExport of dataExports) {
+    await deleteExportArchive(dataExport.filename);
+  }
+};
+
+const removeUnusedAttachments = async () => {
+  const oneDayAgo = new Date(Date.now() - ONE_DAY_IN_MILLIS);
+  const attachments = await FileAttachment.findAll({
+    where: {
+      uploadDate: {
+        [Sequelize.Op.lt]: oneDayAgo,
+      },
+      hoaxId: null,
+      draftId: null,
+    },
+  });
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment.filename);
+    await attachment.destroy();
+  }
+};
+
+const scheduleAttachmentCleanup = () => {
+  setInterval(removeUnusedAttachments, 60 * 60 * 1000);
+};
+
 module.exports = {
   createFolders,
   saveProfileImage,
   deleteProfileimage,
   isLessThan2MB,
   isSupportedFileType,
+  getSupportedAttachmentType,
+  saveAttachment,
+  isAttachmentAvailable,
+  associateFileToHoax,
+  associateFileToDraft,
+  deleteAttachment,
+  saveExportArchive,
+  getExportArchivePath,
+  deleteExportArchive,
+  deleteUserFiles,
+  removeUnusedAttachments,
+  scheduleAttachmentCleanup,
 };
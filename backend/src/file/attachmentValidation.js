@@ -0,0 +1,18 @@
+const { check } = require("express-validator");
+const FileService = require("./FileService");
+
+// requests without a user are rejected by the route itself
+module.exports = check("fileAttachment")
+  .optional({ values: "null" })
+  .custom(async (attachmentId, { req }) => {
+    if (!req.authenticatedUser) {
+      return true;
+    }
+    const available = await FileService.isAttachmentAvailable(
+      attachmentId,
+      req.authenticatedUser.id,
+    );
+    if (!available) {
+      throw new Error("attachment_unavailable");
+    }
+  });
@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Follow extends Model {}
+
+Follow.init(
+  {},
+  {
+    sequelize,
+    modelName: "follow",
+    indexes: [{ unique: true, fields: ["followerId", "followingId"] }],
+  },
+);
+
+module.exports = Follow;
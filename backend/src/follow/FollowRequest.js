@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class FollowRequest extends Model {}
+
+FollowRequest.init(
+  {},
+  {
+    sequelize,
+    modelName: "followRequest",
+    indexes: [{ unique: true, fields: ["followerId", "followingId"] }],
+  },
+);
+
+module.exports = FollowRequest;
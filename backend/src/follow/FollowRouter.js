@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const FollowService = require("./FollowService");
+const UserService = require("../user/UserService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const pagination = require("../middleware/pagination");
+
+router.post("/api/1.0/users/:id/follow", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_follow"));
+  }
+  try {
+    await FollowService.follow(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/users/:id/follow", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_follow"));
+  }
+  await FollowService.unfollow(req.params.id, req.authenticatedUser);
+  res.send();
+});
+
+router.get(
+  "/api/1.0/users/:id/followers",
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const user = await UserService.getUser(req.params.id);
+      const followers = await FollowService.getFollowers(user.id, page, size);
+      res.send(followers);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.get(
+  "/api/1.0/users/:id/following",
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const user = await UserService.getUser(req.params.id);
+      const followings = await FollowService.getFollowings(user.id, page, size);
+      res.send(followings);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.get("/api/1.0/follow-requests", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_follow_request"));
+  }
+  const { page, size } = req.pagination;
+  const requests = await FollowService.getFollowRequests(
+    req.authenticatedUser,
+    page,
+    size,
+  );
+  res.send(requests);
+});
+
+router.post("/api/1.0/follow-requests/:id", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_follow_request"));
+  }
+  try {
+    await FollowService.approveFollowRequest(
+      req.params.id,
+      req.authenticatedUser,
+    );
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/follow-requests/:id", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_follow_request"));
+  }
+  try {
+    await FollowService.rejectFollowRequest(
+      req.params.id,
+      req.authenticatedUser,
+    );
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
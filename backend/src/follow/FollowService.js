@@ -0,0 +1,200 @@
+const Follow = require("./Follow");
+const FollowRequest = require("./FollowRequest");
+const User = require("../user/User");
+const NotFoundException = require("../error/NotFoundException");
+const ValidationException = require("../error/ValidationException");
+const BlockService = require("../block/BlockService");
+const { isSelf } = require("../shared/authorization");
+
+const follow = async (id, authenticatedUser) => {
+  const user = await User.findOne({ where: { id: id } });
+  if (!user) {
+    throw new NotFoundException("user_not_found");
+  }
+  if (isSelf(authenticatedUser, user.id)) {
+    throw new ValidationException([{ path: "id", msg: "follow_self" }]);
+  }
+  if (user.inactive) {
+    throw new ValidationException([
+      { path: "id", msg: "follow_inactive_user" },
+    ]);
+  }
+  if (await BlockService.isBlocked(authenticatedUser.id, user.id)) {
+    throw new ValidationException([{ path: "id", msg: "follow_blocked" }]);
+  }
+  const relation = { followerId: authenticatedUser.id, followingId: user.id };
+  // a private account has to approve its followers first
+  if (user.private) {
+    const following = await Follow.findOne({ where: relation });
+    if (!following) {
+      await FollowRequest.findOrCreate({ where: relation });
+    }
+    return;
+  }
+  await Follow.findOrCreate({ where: relation });
+};
+
+// unfollowing also withdraws a pending request
+const unfollow = async (id, authenticatedUser) => {
+  const relation = { followerId: authenticatedUser.id, followingId: id };
+  await Follow.destroy({ where: relation });
+  await FollowRequest.destroy({ where: relation });
+};
+
+const getFollowRequests = async (authenticatedUser, page, size) => {
+  const requestsWithCount = await FollowRequest.findAndCountAll({
+    where: { followingId: authenticatedUser.id },
+    attributes: ["id"],
+    include: {
+      model: User,
+      as: "follower",
+      attributes: ["id", "username", "image"],
+      where: { inactive: false },
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: requestsWithCount.rows.map((request) => ({
+      id: request.id,
+      user: request.follower,
+    })),
+    page,
+    size,
+    totalPages: Math.ceil(requestsWithCount.count / size),
+  };
+};
+
+const findReceivedRequest = async (id, authenticatedUser) => {
+  const request = await FollowRequest.findOne({
+    where: { id: id, followingId: authenticatedUser.id },
+  });
+  if (!request) {
+    throw new NotFoundException("follow_request_not_found");
+  }
+  return request;
+};
+
+const approveFollowRequest = async (id, authenticatedUser) => {
+  const request = await findReceivedRequest(id, authenticatedUser);
+  await Follow.findOrCreate({
+    where: {
+      followerId: request.followerId,
+      followingId: request.followingId,
+    },
+  });
+  await request.destroy();
+};
+
+// a private account going public has nothing left to approve, everyone who
+// asked becomes a follower
+const approveAllFollowRequests = async (userId) => {
+  const requests = await FollowRequest.findAll({
+    where: { followingId: userId },
+  });
+  for (const request of requests) {
+    await Follow.findOrCreate({
+      where: {
+        followerId: request.followerId,
+        followingId: request.followingId,
+      },
+    });
+    await request.destroy();
+  }
+};
+
+const rejectFollowRequest = async (id, authenticatedUser) => {
+  const request = await findReceivedRequest(id, authenticatedUser);
+  await request.destroy();
+};
+
+// how the authenticated user stands towards the given user, there is
+// nothing to tell for anonymous callers and for the user themself
+const getRelationship = async (id, authenticatedUser) => {
+  if (!authenticatedUser || isSelf(authenticatedUser, id)) {
+    return null;
+  }
+  const outgoing = { followerId: authenticatedUser.id, followingId: id };
+  const incoming = { followerId: id, followingId: authenticatedUser.id };
+  return {
+    following: (await Follow.count({ where: outgoing })) > 0,
+    requested: (await FollowRequest.count({ where: outgoing })) > 0,
+    followedBy: (await Follow.count({ where: incoming })) > 0,
+    ...(await BlockService.getRelationship(authenticatedUser.id, id)),
+  };
+};
+
+const getFollowUsers = async (where, as, page, size) => {
+  const followsWithCount = await Follow.findAndCountAll({
+    where,
+    attributes: [],
+    include: {
+      model: User,
+      as,
+      attributes: ["id", "username", "image"],
+      where: { inactive: false },
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: followsWithCount.rows.map((follow) => follow[as]),
+    page,
+    size,
+    totalPages: Math.ceil(followsWithCount.count / size),
+  };
+};
+
+const getFollowers = async (id, page, size) => {
+  return getFollowUsers({ followingId: id }, "follower", page, size);
+};
+
+const getFollowings = async (id, page, size) => {
+  return getFollowUsers({ followerId: id }, "following", page, size);
+};
+
+const getFollowingIds = async (id) => {
+  const follows = await Follow.findAll({
+    where: { followerId: id },
+    attributes: ["followingId"],
+  });
+  return follows.map((follow) => follow.followingId);
+};
+
+// counted the same way the lists are read, leaving inactive users out
+const countFollowUsers = (where, as) => {
+  return Follow.count({
+    where,
+    include: {
+      model: User,
+      as,
+      attributes: [],
+      where: { inactive: false },
+    },
+  });
+};
+
+const getFollowCounts = async (id) => {
+  const followerCount = await countFollowUsers({ followingId: id }, "follower");
+  const followingCount = await countFollowUsers(
+    { followerId: id },
+    "following",
+  );
+  return { followerCount, followingCount };
+};
+
+module.exports = {
+  follow,
+  unfollow,
+  getFollowers,
+  getFollowings,
+  getFollowingIds,
+  getFollowCounts,
+  getFollowRequests,
+  approveFollowRequest,
+  approveAllFollowRequests,
+  rejectFollowRequest,
+  getRelationship,
+};
@@ -0,0 +1,92 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const FileAttachment = require("../file/FileAttachment");
+const Reaction = require("../reaction/Reaction");
+const Tag = require("../tag/Tag");
+const HoaxTag = require("../tag/HoaxTag");
+const Mention = require("./Mention");
+const Notification = require("../notification/Notification");
+const Bookmark = require("../bookmark/Bookmark");
+const HoaxRevision = require("./HoaxRevision");
+const Poll = require("../poll/Poll");
+const ModerationAction = require("../moderation/ModerationAction");
+
+const Model = Sequelize.Model;
+
+class Hoax extends Model {}
+
+Hoax.init(
+  {
+    content: {
+      type: Sequelize.TEXT,
+    },
+    timestamp: {
+      type: Sequelize.BIGINT,
+    },
+    deleted: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    editedAt: {
+      type: Sequelize.BIGINT,
+    },
+    visibility: {
+      type: Sequelize.STRING,
+      defaultValue: "public",
+    },
+    contentWarning: {
+      type: Sequelize.STRING,
+    },
+    sensitive: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    pinnedAt: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: "hoax",
+    timestamps: false,
+  },
+);
+
+// Relationships
+Hoax.hasOne(FileAttachment, { onDelete: "cascade", foreignKey: "hoaxId" });
+FileAttachment.belongsTo(Hoax);
+Hoax.hasMany(Hoax, {
+  as: "replies",
+  onDelete: "cascade",
+  foreignKey: "parentId",
+});
+Hoax.belongsTo(Hoax, { as: "parent", foreignKey: "parentId" });
+Hoax.hasMany(Reaction, { onDelete: "cascade", foreignKey: "hoaxId" });
+Reaction.belongsTo(Hoax);
+Hoax.belongsToMany(Tag, { through: HoaxTag, foreignKey: "hoaxId" });
+Tag.belongsToMany(Hoax, { through: HoaxTag, foreignKey: "tagId" });
+Hoax.hasMany(Mention, { onDelete: "cascade", foreignKey: "hoaxId" });
+Mention.belongsTo(Hoax);
+Hoax.hasMany(Notification, { onDelete: "cascade", foreignKey: "hoaxId" });
+Notification.belongsTo(Hoax);
+Hoax.hasMany(Bookmark, { onDelete: "cascade", foreignKey: "hoaxId" });
+Bookmark.belongsTo(Hoax);
+Hoax.hasMany(Hoax, {
+  as: "reposts",
+  onDelete: "cascade",
+  foreignKey: "repostOfId",
+});
+Hoax.belongsTo(Hoax, { as: "repostOf", foreignKey: "repostOfId" });
+Hoax.hasMany(HoaxRevision, {
+  as: "revisions",
+  onDelete: "cascade",
+  foreignKey: "hoaxId",
+});
+HoaxRevision.belongsTo(Hoax);
+Hoax.hasOne(Poll, { onDelete: "cascade", foreignKey: "hoaxId" });
+Poll.belongsTo(Hoax);
+// moderation records outlive the hoax they were taken on
+Hoax.hasMany(ModerationAction, { onDelete: "SET NULL", foreignKey: "hoaxId" });
+ModerationAction.belongsTo(Hoax);
+
+module.exports = Hoax;
@@ -0,0 +1,117 @@
+const Mention = require("./Mention");
+const Tag = require("../tag/Tag");
+const HoaxTag = require("../tag/HoaxTag");
+const User = require("../user/User");
+const Notification = require("../notification/Notification");
+const NotificationService = require("../notification/NotificationService");
+const { parseEntities } = require("../shared/entities");
+const { usernameKey } = require("../shared/normalization");
+const { unblockedUsersWhere } = require("../shared/authorization");
+
+const valuesOf = (entities, type) => {
+  const values = entities
+    .filter((entity) => entity.type === type)
+    .map((entity) => entity.value);
+  return [...new Set(values)];
+};
+
+const saveEntities = async (hoax, transaction) => {
+  const entities = parseEntities(hoax.content);
+
+  const tagNames = valuesOf(entities, "hashtag").map((tag) =>
+    tag.toLowerCase(),
+  );
+  const tags = [];
+  for (const name of [...new Set(tagNames)]) {
+    const [tag] = await Tag.findOrCreate({ where: { name }, transaction });
+    tags.push(tag);
+  }
+  await hoax.setTags(tags, { transaction });
+
+  const usernames = valuesOf(entities, "mention");
+  const users =
+    usernames.length > 0
+      ? await User.findAll({
+          where: {
+            usernameKey: usernames.map(usernameKey),
+            inactive: false,
+            ...unblockedUsersWhere({ id: hoax.userId }),
+          },
+          attributes: ["id"],
+          transaction,
+        })
+      : [];
+  const userIds = users.map((user) => user.id);
+
+  // an edited hoax keeps the mentions it still has, so only newly mentioned
+  // users get notified
+  const existingMentions = await Mention.findAll({
+    where: { hoaxId: hoax.id },
+    transaction,
+  });
+  const existingUserIds = existingMentions.map((mention) => mention.userId);
+  const removedUserIds = existingUserIds.filter(
+    (userId) => !userIds.includes(userId),
+  );
+  if (removedUserIds.length > 0) {
+    await Mention.destroy({
+      where: { hoaxId: hoax.id, userId: removedUserIds },
+      transaction,
+    });
+    await Notification.destroy({
+      where: { hoaxId: hoax.id, userId: removedUserIds, type: "mention" },
+      transaction,
+    });
+  }
+  const addedUserIds = userIds.filter(
+    (userId) => !existingUserIds.includes(userId),
+  );
+  await Mention.bulkCreate(
+    addedUserIds.map((userId) => ({ hoaxId: hoax.id, userId })),
+    { transaction },
+  );
+  await NotificationService.notifyMentions(hoax, addedUserIds, transaction);
+};
+
+const removeEntities = async (hoaxIds) => {
+  await Mention.destroy({ where: { hoaxId: hoaxIds } });
+  await Notification.destroy({ where: { hoaxId: hoaxIds } });
+  await HoaxTag.destroy({ where: { hoaxId: hoaxIds } });
+};
+
+// hashtags are always linked, mentions only when they resolved to a user
+const getEntities = async (hoaxes) => {
+  const mentions = await Mention.findAll({
+    where: { hoaxId: hoaxes.map((hoax) => hoax.id) },
+    include: {
+      model: User,
+      as: "user",
+      attributes: ["id", "username", "usernameKey"],
+    },
+  });
+  const entities = {};
+  for (const hoax of hoaxes) {
+    const mentionedUsers = mentions.filter(
+      (mention) => mention.hoaxId === hoax.id,
+    );
+    entities[hoax.id] = parseEntities(hoax.content).filter((entity) => {
+      if (entity.type !== "mention") {
+        return true;
+      }
+      const mention = mentionedUsers.find(
+        (mention) => mention.user.usernameKey === usernameKey(entity.value),
+      );
+      if (mention) {
+        entity.userId = mention.user.id;
+      }
+      return mention !== undefined;
+    });
+  }
+  return entities;
+};
+
+module.exports = {
+  saveEntities,
+  removeEntities,
+  getEntities,
+};
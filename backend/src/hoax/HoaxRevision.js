@@ -0,0 +1,24 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class HoaxRevision extends Model {}
+
+HoaxRevision.init(
+  {
+    content: {
+      type: Sequelize.TEXT,
+    },
+    timestamp: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: "hoaxRevision",
+    timestamps: false,
+  },
+);
+
+module.exports = HoaxRevision;
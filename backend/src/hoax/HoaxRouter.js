@@ -0,0 +1,306 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const multer = require("multer");
+const config = require("config");
+const HoaxService = require("./HoaxService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const ValidationException = require("../error/ValidationException");
+const pagination = require("../middleware/pagination");
+const cursorPagination = require("../middleware/cursorPagination");
+const FileService = require("../file/FileService");
+const attachmentValidation = require("../file/attachmentValidation");
+const {
+  contentValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+} = require("./hoaxValidation");
+const ForbiddenException = require("../error/ForbidenException");
+const FollowService = require("../follow/FollowService");
+
+const upload = multer({
+  limits: { fileSize: config.attachmentSizeLimit },
+}).single("file");
+
+router.post(
+  "/api/1.0/hoaxes",
+  contentValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+  attachmentValidation,
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_hoax_submit"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await HoaxService.save(req.body, req.authenticatedUser);
+      return res.send({ message: req.t("hoax_submit_success") });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.post(
+  "/api/1.0/hoaxes/attachments",
+  (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(
+        new AuthenticationException("unauthroized_attachment_upload"),
+      );
+    }
+    upload(req, res, (error) => {
+      if (error) {
+        const msg =
+          error.code === "LIMIT_FILE_SIZE"
+            ? "attachment_size"
+            : "attachment_invalid";
+        return next(new ValidationException([{ path: "file", msg }]));
+      }
+      next();
+    });
+  },
+  async (req, res, next) => {
+    if (!req.file) {
+      return next(
+        new ValidationException([{ path: "file", msg: "attachment_null" }]),
+      );
+    }
+    try {
+      const fileType = await FileService.getSupportedAttachmentType(
+        req.file.buffer,
+      );
+      if (!fileType) {
+        return next(
+          new ValidationException([
+            { path: "file", msg: "unsupported_attachment_file" },
+          ]),
+        );
+      }
+      const attachment = await FileService.saveAttachment(
+        req.file,
+        fileType,
+        req.authenticatedUser.id,
+      );
+      res.send(attachment);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.get("/api/1.0/hoaxes", pagination, async (req, res) => {
+  const { page, size } = req.pagination;
+  const hoaxes = await HoaxService.getHoaxes(
+    page,
+    size,
+    null,
+    req.authenticatedUser,
+  );
+  res.send(hoaxes);
+});
+
+router.get("/api/1.0/hoaxes/:cursor", cursorPagination, async (req, res) => {
+  const hoaxes = await HoaxService.getHoaxesByCursor(
+    req.cursor,
+    null,
+    req.authenticatedUser,
+  );
+  res.send(hoaxes);
+});
+
+// the plural path takes a cursor for the feed, so a single hoax is read from
+// the singular one
+router.get("/api/1.0/hoax/:id", async (req, res, next) => {
+  try {
+    const hoax = await HoaxService.getHoax(
+      req.params.id,
+      req.authenticatedUser,
+    );
+    res.send(hoax);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  ["/api/1.0/timeline", "/api/1.0/timeline/:cursor"],
+  cursorPagination,
+  async (req, res, next) => {
+    const authenticatedUser = req.authenticatedUser;
+    if (!authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_timeline"));
+    }
+    const followingIds = await FollowService.getFollowingIds(
+      authenticatedUser.id,
+    );
+    const hoaxes = await HoaxService.getHoaxesByCursor(
+      req.cursor,
+      [authenticatedUser.id, ...followingIds],
+      authenticatedUser,
+    );
+    res.send(hoaxes);
+  },
+);
+
+router.post(
+  "/api/1.0/hoaxes/:id/reposts",
+  check("content")
+    .optional({ values: "falsy" })
+    .isLength({ min: 10, max: 5000 })
+    .withMessage("hoax_content_size"),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_hoax_submit"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await HoaxService.repost(req.params.id, req.body, req.authenticatedUser);
+      return res.send({ message: req.t("hoax_submit_success") });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.post(
+  "/api/1.0/hoaxes/:id/replies",
+  contentValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+  attachmentValidation,
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_hoax_submit"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await HoaxService.saveReply(
+        req.params.id,
+        req.body,
+        req.authenticatedUser,
+      );
+      return res.send({ message: req.t("hoax_submit_success") });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.get(
+  "/api/1.0/hoaxes/:id/replies",
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    const { replyDepthLimit } = config;
+    const depthAsNumber = Number.parseInt(req.query.depth);
+    let depth = Number.isNaN(depthAsNumber) ? replyDepthLimit : depthAsNumber;
+    if (depth > replyDepthLimit || depth < 1) {
+      depth = replyDepthLimit;
+    }
+    try {
+      const replies = await HoaxService.getReplies(
+        req.params.id,
+        page,
+        size,
+        depth,
+        req.authenticatedUser,
+      );
+      res.send(replies);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.put("/api/1.0/hoaxes/:id", contentValidation, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_hoax_update"));
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationException(errors.array()));
+  }
+  try {
+    await HoaxService.updateHoax(
+      req.params.id,
+      req.body,
+      req.authenticatedUser,
+    );
+    return res.send({ message: req.t("hoax_update_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  "/api/1.0/hoaxes/:id/revisions",
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const revisions = await HoaxService.getRevisions(
+        req.params.id,
+        page,
+        size,
+        req.authenticatedUser,
+      );
+      res.send(revisions);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.post("/api/1.0/hoaxes/:id/pin", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_hoax_pin"));
+  }
+  try {
+    await HoaxService.pinHoax(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/hoaxes/:id/pin", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_hoax_pin"));
+  }
+  try {
+    await HoaxService.unpinHoax(req.params.id, req.authenticatedUser);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/1.0/hoaxes/:id", async (req, res, next) => {
+  const authenticatedUser = req.authenticatedUser;
+
+  if (!authenticatedUser) {
+    return next(new ForbiddenException("unauthroized_hoax_delete"));
+  }
+  try {
+    await HoaxService.deleteHoax(req.params.id, authenticatedUser.id);
+    res.send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,708 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const Hoax = require("./Hoax");
+const User = require("../user/User");
+const FileAttachment = require("../file/FileAttachment");
+const FileService = require("../file/FileService");
+const ForbiddenException = require("../error/ForbidenException");
+const NotFoundException = require("../error/NotFoundException");
+const Reaction = require("../reaction/Reaction");
+const ReactionService = require("../reaction/ReactionService");
+const HoaxEntityService = require("./HoaxEntityService");
+const Tag = require("../tag/Tag");
+const Bookmark = require("../bookmark/Bookmark");
+const ValidationException = require("../error/ValidationException");
+const HoaxRevision = require("./HoaxRevision");
+const config = require("config");
+const Poll = require("../poll/Poll");
+const PollService = require("../poll/PollService");
+const {
+  visibleHoaxesWhere,
+  visibleHoaxesCondition,
+  unmutedUsersWhere,
+} = require("../shared/authorization");
+
+const hoaxAttributes = [
+  "id",
+  "content",
+  "timestamp",
+  "editedAt",
+  "visibility",
+  "contentWarning",
+  "sensitive",
+  "deleted",
+  "repostOfId",
+];
+
+const hoaxInclude = [
+  {
+    model: User,
+    as: "user",
+    attributes: ["id", "username", "image"],
+  },
+  {
+    model: FileAttachment,
+    as: "fileAttachment",
+    attributes: ["filename", "fileType"],
+  },
+];
+
+const toHoaxResponse = (hoax) => {
+  const hoaxAsJSON = hoax.get({ plain: true });
+  if (hoaxAsJSON.deleted) {
+    const placeholder = { id: hoaxAsJSON.id, deleted: true };
+    if (hoaxAsJSON.parentId) {
+      placeholder.parentId = hoaxAsJSON.parentId;
+    }
+    return placeholder;
+  }
+  delete hoaxAsJSON.deleted;
+  hoaxAsJSON.edited = hoaxAsJSON.editedAt != null;
+  if (!hoaxAsJSON.edited) {
+    delete hoaxAsJSON.editedAt;
+  }
+  if (hoaxAsJSON.contentWarning === null) {
+    delete hoaxAsJSON.contentWarning;
+  }
+  if (hoaxAsJSON.repostOfId === null) {
+    delete hoaxAsJSON.repostOfId;
+  }
+  if (hoaxAsJSON.fileAttachment === null) {
+    delete hoaxAsJSON.fileAttachment;
+  }
+  return hoaxAsJSON;
+};
+
+// replies and reposts the viewer cannot read are left out of the counts
+const countHoaxesReferencing = async (column, hoaxIds, authenticatedUser) => {
+  const rows = await Hoax.findAll({
+    attributes: [column, [Sequelize.fn("COUNT", Sequelize.col("id")), "count"]],
+    where: {
+      [column]: hoaxIds,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+    group: [column],
+    raw: true,
+  });
+  const counts = {};
+  rows.forEach((row) => (counts[row[column]] = Number(row.count)));
+  return counts;
+};
+
+// the timeline passes a list of users, a profile feed passes one user whose
+// pinned hoaxes are listed on top of the first page instead of in between
+const isSingleUserFeed = (userId) => Boolean(userId) && !Array.isArray(userId);
+
+// the global feed only carries original posts, reposts show up in the
+// feeds of the users who reposted them
+const feedWhere = (userId, authenticatedUser) => {
+  const where = {
+    parentId: null,
+    deleted: false,
+    [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+  };
+  if (userId) {
+    where.userId = userId;
+  } else {
+    where.repostOfId = null;
+  }
+  if (isSingleUserFeed(userId)) {
+    where.pinnedAt = null;
+  }
+  // muted users only drop out of the timeline, their profiles stay readable
+  if (Array.isArray(userId)) {
+    where[Sequelize.Op.and].push(unmutedUsersWhere(authenticatedUser));
+  }
+  return where;
+};
+
+const isExpandingSensitive = async (authenticatedUser) => {
+  if (!authenticatedUser) {
+    return false;
+  }
+  const user = await User.findOne({
+    where: { id: authenticatedUser.id },
+    attributes: ["expandSensitive"],
+  });
+  return Boolean(user && user.expandSensitive);
+};
+
+// every list endpoint passes its rows through here so the extra fields are
+// loaded with one query per page instead of one per hoax
+const prepareHoaxes = async (hoaxes, authenticatedUser) => {
+  const content = hoaxes.map(toHoaxResponse);
+  const ids = content.map((hoax) => hoax.id);
+  const replyCounts = await countHoaxesReferencing(
+    "parentId",
+    ids,
+    authenticatedUser,
+  );
+  const repostCounts = await countHoaxesReferencing(
+    "repostOfId",
+    ids,
+    authenticatedUser,
+  );
+  const reactionSummaries = await ReactionService.getReactionSummaries(
+    ids,
+    authenticatedUser,
+  );
+  const polls = await PollService.getPollSummaries(ids, authenticatedUser);
+  const isFlagged = (hoax) => hoax.sensitive || hoax.contentWarning;
+  const expandSensitive =
+    content.some(isFlagged) && (await isExpandingSensitive(authenticatedUser));
+  const entities = await HoaxEntityService.getEntities(
+    content.filter((hoax) => !hoax.deleted),
+  );
+  const originalIds = content
+    .filter((hoax) => hoax.repostOfId)
+    .map((hoax) => hoax.repostOfId);
+  const originals =
+    originalIds.length > 0
+      ? await getHoaxesByIds(originalIds, authenticatedUser)
+      : [];
+  const hiddenReposts = content.filter(
+    (hoax) =>
+      hoax.repostOfId &&
+      hoax.content === null &&
+      !originals.some((original) => original.id === hoax.repostOfId),
+  );
+  content.forEach((hoax) => {
+    hoax.replyCount = replyCounts[hoax.id] || 0;
+    if (!hoax.deleted) {
+      hoax.repostCount = repostCounts[hoax.id] || 0;
+      Object.assign(hoax, reactionSummaries[hoax.id]);
+      hoax.entities = entities[hoax.id];
+      if (isFlagged(hoax)) {
+        hoax.collapsed = !expandSensitive;
+      }
+      if (polls[hoax.id]) {
+        hoax.poll = polls[hoax.id];
+      }
+    }
+    if (hoax.repostOfId) {
+      const original = originals.find(
+        (original) => original.id === hoax.repostOfId,
+      );
+      if (original) {
+        hoax.repostOf = original;
+      }
+      delete hoax.repostOfId;
+    }
+  });
+  // the original of a repost may be hidden from the viewer, e.g. by a block
+  // or a private account. A plain repost has nothing to show without it, a
+  // quote post is shown on its own
+  return content.filter((hoax) => !hiddenReposts.includes(hoax));
+};
+
+const findVisibleHoax = async (hoaxId, authenticatedUser) => {
+  return await Hoax.findOne({
+    where: {
+      id: hoaxId,
+      deleted: false,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+  });
+};
+
+// the hoax and everything attached to it are written together, a failing
+// step leaves nothing behind. Callers with a transaction of their own pass it
+const save = async (body, user, parentId, transaction) => {
+  if (!transaction) {
+    return sequelize.transaction((transaction) =>
+      save(body, user, parentId, transaction),
+    );
+  }
+  const hoax = {
+    content: body.content,
+    timestamp: Date.now(),
+    userId: user.id,
+    parentId,
+    visibility: body.visibility,
+    contentWarning: body.contentWarning || null,
+    sensitive: Boolean(body.sensitive),
+  };
+  const savedHoax = await Hoax.create(hoax, { transaction });
+  if (body.fileAttachment) {
+    await FileService.associateFileToHoax(
+      body.fileAttachment,
+      savedHoax.id,
+      user.id,
+      transaction,
+    );
+  }
+  if (body.poll) {
+    await PollService.createPoll(savedHoax.id, body.poll, transaction);
+  }
+  await HoaxEntityService.saveEntities(savedHoax, transaction);
+  return savedHoax;
+};
+
+const repost = async (hoaxId, body, user) => {
+  const hoax = await findVisibleHoax(hoaxId, user);
+  // only public hoaxes can be shared with a wider audience
+  if (!hoax || hoax.visibility !== "public") {
+    throw new NotFoundException("repost_unavailable");
+  }
+  // reposting a repost shares the original post
+  const repostOfId = hoax.repostOfId || hoax.id;
+  if (!body.content) {
+    const existingRepost = await Hoax.findOne({
+      where: { repostOfId, userId: user.id, content: null },
+    });
+    if (existingRepost) {
+      throw new ValidationException([{ path: "id", msg: "already_reposted" }]);
+    }
+  }
+  const savedHoax = await Hoax.create({
+    content: body.content || null,
+    timestamp: Date.now(),
+    userId: user.id,
+    repostOfId,
+  });
+  await HoaxEntityService.saveEntities(savedHoax);
+};
+
+const updateHoax = async (hoaxId, body, user) => {
+  const hoax = await Hoax.findOne({
+    where: { id: hoaxId, userId: user.id, deleted: false },
+  });
+  if (!hoax) {
+    throw new ForbiddenException("unauthroized_hoax_update");
+  }
+  // a plain repost only points at the original, giving it content would
+  // turn it into a quote post
+  if (hoax.repostOfId && hoax.content === null) {
+    throw new ForbiddenException("repost_not_editable");
+  }
+  const { hoaxEditWindow } = config;
+  if (hoaxEditWindow && Date.now() - hoax.timestamp > hoaxEditWindow) {
+    throw new ForbiddenException("hoax_edit_window_closed");
+  }
+  await HoaxRevision.create({
+    content: hoax.content,
+    timestamp: hoax.editedAt || hoax.timestamp,
+    hoaxId: hoax.id,
+  });
+  hoax.content = body.content;
+  hoax.editedAt = Date.now();
+  await hoax.save();
+  await HoaxEntityService.saveEntities(hoax);
+};
+
+const getRevisions = async (hoaxId, page, size, authenticatedUser) => {
+  const hoax = await findVisibleHoax(hoaxId, authenticatedUser);
+  if (!hoax) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  const revisionsWithCount = await HoaxRevision.findAndCountAll({
+    where: { hoaxId: hoax.id },
+    attributes: ["id", "content", "timestamp"],
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: revisionsWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(revisionsWithCount.count / size),
+  };
+};
+
+const saveReply = async (parentId, body, user) => {
+  const parent = await findVisibleHoax(parentId, user);
+  if (!parent) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  await save(body, user, parent.id);
+};
+
+const withPinnedHoaxes = async (content, userId, authenticatedUser) => {
+  if (!isSingleUserFeed(userId)) {
+    return content;
+  }
+  const pinnedHoaxes = await getPinnedHoaxes(userId, authenticatedUser);
+  return [...pinnedHoaxes, ...content];
+};
+
+const getHoaxes = async (page, size, userId, authenticatedUser) => {
+  const where = feedWhere(userId, authenticatedUser);
+  const hoaxesWithCount = await Hoax.findAndCountAll({
+    where,
+    attributes: hoaxAttributes,
+    include: hoaxInclude,
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  let content = await prepareHoaxes(hoaxesWithCount.rows, authenticatedUser);
+  if (page === 0) {
+    content = await withPinnedHoaxes(content, userId, authenticatedUser);
+  }
+  return {
+    content,
+    page,
+    size,
+    totalPages: Math.ceil(hoaxesWithCount.count / size),
+  };
+};
+
+const getHoaxesByCursor = async (cursor, userId, authenticatedUser) => {
+  const { id, direction, size, countOnly } = cursor;
+  const operator = direction === "after" ? Sequelize.Op.gt : Sequelize.Op.lt;
+  const where = feedWhere(userId, authenticatedUser);
+  if (id) {
+    where.id = { [operator]: id };
+  }
+
+  if (countOnly) {
+    const count = await Hoax.count({ where });
+    return { count };
+  }
+
+  if (direction === "after") {
+    // take the hoaxes right next to the cursor so repeated polls leave no gaps
+    const newerHoaxes = await Hoax.findAll({
+      where,
+      attributes: hoaxAttributes,
+      include: hoaxInclude,
+      order: [["id", "ASC"]],
+      limit: size,
+    });
+    return await prepareHoaxes(newerHoaxes.reverse(), authenticatedUser);
+  }
+
+  const hoaxesWithCount = await Hoax.findAndCountAll({
+    where,
+    attributes: hoaxAttributes,
+    include: hoaxInclude,
+    order: [["id", "DESC"]],
+    limit: size,
+  });
+  let content = await prepareHoaxes(hoaxesWithCount.rows, authenticatedUser);
+  if (!id) {
+    content = await withPinnedHoaxes(content, userId, authenticatedUser);
+  }
+  return {
+    content,
+    page: 0,
+    size,
+    totalPages: Math.ceil(hoaxesWithCount.count / size),
+  };
+};
+
+const getHoaxesByTag = async (tag, page, size, authenticatedUser) => {
+  const hoaxesWithCount = await Hoax.findAndCountAll({
+    where: {
+      deleted: false,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+    attributes: hoaxAttributes,
+    include: [
+      ...hoaxInclude,
+      {
+        model: Tag,
+        where: { name: tag.toLowerCase() },
+        attributes: [],
+        through: { attributes: [] },
+      },
+    ],
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+    distinct: true,
+  });
+  return {
+    content: await prepareHoaxes(hoaxesWithCount.rows, authenticatedUser),
+    page,
+    size,
+    totalPages: Math.ceil(hoaxesWithCount.count / size),
+  };
+};
+
+// keeps the order of the given ids, e.g. search results ordered by rank
+const getHoaxesByIds = async (ids, authenticatedUser) => {
+  const hoaxes = await Hoax.findAll({
+    where: {
+      id: ids,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+    attributes: hoaxAttributes,
+    include: hoaxInclude,
+  });
+  const hoaxesInOrder = ids
+    .map((id) => hoaxes.find((hoax) => hoax.id === id))
+    .filter((hoax) => hoax !== undefined);
+  return await prepareHoaxes(hoaxesInOrder, authenticatedUser);
+};
+
+const getPinnedHoaxes = async (userId, authenticatedUser) => {
+  const pinnedHoaxes = await Hoax.findAll({
+    where: {
+      userId,
+      deleted: false,
+      pinnedAt: { [Sequelize.Op.ne]: null },
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+    attributes: hoaxAttributes,
+    include: hoaxInclude,
+    order: [["pinnedAt", "DESC"]],
+  });
+  const content = await prepareHoaxes(pinnedHoaxes, authenticatedUser);
+  content.forEach((hoax) => (hoax.pinned = true));
+  return content;
+};
+
+const pinHoax = async (hoaxId, user) => {
+  const hoax = await Hoax.findOne({
+    where: { id: hoaxId, userId: user.id, deleted: false },
+  });
+  if (!hoax) {
+    throw new ForbiddenException("unauthroized_hoax_pin");
+  }
+  // a profile is headed by its own posts, replies and reposts stay in the feed
+  if (hoax.parentId || hoax.repostOfId) {
+    throw new ValidationException([{ path: "id", msg: "hoax_not_pinnable" }]);
+  }
+  if (hoax.pinnedAt) {
+    return;
+  }
+  const pinnedCount = await Hoax.count({
+    where: { userId: user.id, pinnedAt: { [Sequelize.Op.ne]: null } },
+  });
+  if (pinnedCount >= config.pinLimit) {
+    throw new ValidationException([{ path: "id", msg: "pin_limit" }]);
+  }
+  hoax.pinnedAt = Date.now();
+  await hoax.save();
+};
+
+const unpinHoax = async (hoaxId, user) => {
+  const hoax = await Hoax.findOne({ where: { id: hoaxId, userId: user.id } });
+  if (!hoax) {
+    throw new ForbiddenException("unauthroized_hoax_pin");
+  }
+  hoax.pinnedAt = null;
+  await hoax.save();
+};
+
+const getHoax = async (hoaxId, authenticatedUser) => {
+  const hoax = await Hoax.findOne({
+    where: {
+      id: hoaxId,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+    attributes: [...hoaxAttributes, "parentId"],
+    include: hoaxInclude,
+  });
+  if (!hoax) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  const [hoaxResponse] = await prepareHoaxes([hoax], authenticatedUser);
+  if (!hoaxResponse) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  return hoaxResponse;
+};
+
+// only the first replies of each parent are read, however long the thread
+const firstReplyIds = async (parentIds, size, authenticatedUser) => {
+  const rows = await sequelize.query(
+    `SELECT id FROM (SELECT hoaxes.id, ROW_NUMBER() OVER (PARTITION BY hoaxes.parentId ORDER BY hoaxes.id) AS position FROM hoaxes WHERE hoaxes.parentId IN (:parentIds) AND ${visibleHoaxesCondition(
+      authenticatedUser,
+    )}) WHERE position <= :size`,
+    {
+      replacements: { parentIds, size },
+      type: Sequelize.QueryTypes.SELECT,
+    },
+  );
+  return rows.map((row) => row.id);
+};
+
+const addNestedReplies = async (hoaxes, depth, size, authenticatedUser) => {
+  const parents = hoaxes.filter((hoax) => hoax.replyCount > 0);
+  if (depth < 1 || parents.length === 0) {
+    return;
+  }
+  const ids = await firstReplyIds(
+    parents.map((hoax) => hoax.id),
+    size,
+    authenticatedUser,
+  );
+  const replies = await Hoax.findAll({
+    where: { id: ids },
+    attributes: [...hoaxAttributes, "parentId"],
+    include: hoaxInclude,
+    order: [["id", "ASC"]],
+  });
+  const content = await prepareHoaxes(replies, authenticatedUser);
+  for (const parent of parents) {
+    parent.replies = content.filter((reply) => reply.parentId === parent.id);
+  }
+  await addNestedReplies(content, depth - 1, size, authenticatedUser);
+};
+
+const getReplies = async (hoaxId, page, size, depth, authenticatedUser) => {
+  const visibleWhere = visibleHoaxesWhere(authenticatedUser);
+  const parent = await Hoax.findOne({
+    where: { id: hoaxId, [Sequelize.Op.and]: [visibleWhere] },
+  });
+  if (!parent) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  const repliesWithCount = await Hoax.findAndCountAll({
+    where: { parentId: parent.id, [Sequelize.Op.and]: [visibleWhere] },
+    attributes: [...hoaxAttributes, "parentId"],
+    include: hoaxInclude,
+    order: [["id", "ASC"]],
+    limit: size,
+    offset: page * size,
+  });
+  const content = await prepareHoaxes(repliesWithCount.rows, authenticatedUser);
+  await addNestedReplies(content, depth - 1, size, authenticatedUser);
+  return {
+    content,
+    page,
+    size,
+    totalPages: Math.ceil(repliesWithCount.count / size),
+  };
+};
+
+// destroying hoaxes cascades to their replies and reposts, and to theirs in
+// turn. The attachment rows go along in the database, so the files of the
+// whole tree are collected while the rows still exist and removed afterwards
+const findCascadedAttachments = async (column, ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const rows = await sequelize.query(
+    `WITH RECURSIVE cascaded(id) AS (SELECT id FROM hoaxes WHERE ${column} IN (:ids) UNION SELECT hoaxes.id FROM hoaxes JOIN cascaded ON hoaxes.parentId = cascaded.id OR hoaxes.repostOfId = cascaded.id) SELECT filename FROM fileAttachments WHERE hoaxId IN (SELECT id FROM cascaded)`,
+    { replacements: { ids }, type: Sequelize.QueryTypes.SELECT },
+  );
+  return rows.map((row) => row.filename);
+};
+
+const deleteAttachmentFiles = async (filenames) => {
+  for (const filename of filenames) {
+    await FileService.deleteAttachment(filename);
+  }
+};
+
+const removeHoaxRelations = async (hoaxIds) => {
+  await Reaction.destroy({ where: { hoaxId: hoaxIds } });
+  await Bookmark.destroy({ where: { hoaxId: hoaxIds } });
+  await HoaxRevision.destroy({ where: { hoaxId: hoaxIds } });
+  await Poll.destroy({ where: { hoaxId: hoaxIds } });
+  const repostAttachments = await findCascadedAttachments(
+    "repostOfId",
+    hoaxIds,
+  );
+  await Hoax.destroy({ where: { repostOfId: hoaxIds } });
+  await deleteAttachmentFiles(repostAttachments);
+  await HoaxEntityService.removeEntities(hoaxIds);
+};
+
+const removeOrphanedPlaceholders = async (parentId) => {
+  while (parentId) {
+    const parent = await Hoax.findOne({
+      where: { id: parentId, deleted: true },
+    });
+    if (!parent) {
+      return;
+    }
+    const replyCount = await Hoax.count({ where: { parentId } });
+    if (replyCount > 0) {
+      return;
+    }
+    parentId = parent.parentId;
+    await parent.destroy();
+  }
+};
+
+const deleteHoax = async (hoaxId, userId) => {
+  const hoaxToBeDeleted = await Hoax.findOne({
+    where: { id: hoaxId, userId, deleted: false },
+    include: { model: FileAttachment, as: "fileAttachment" },
+  });
+  if (!hoaxToBeDeleted) {
+    throw new ForbiddenException("unauthroized_hoax_delete");
+  }
+  if (hoaxToBeDeleted.fileAttachment) {
+    await FileService.deleteAttachment(hoaxToBeDeleted.fileAttachment.filename);
+    await hoaxToBeDeleted.fileAttachment.destroy();
+  }
+  const replyCount = await Hoax.count({
+    where: { parentId: hoaxToBeDeleted.id },
+  });
+  if (replyCount > 0) {
+    // keep the hoax as a placeholder so the replies keep their context
+    hoaxToBeDeleted.deleted = true;
+    hoaxToBeDeleted.content = null;
+    hoaxToBeDeleted.contentWarning = null;
+    hoaxToBeDeleted.pinnedAt = null;
+    await hoaxToBeDeleted.save();
+    await removeHoaxRelations([hoaxToBeDeleted.id]);
+    return;
+  }
+  const { parentId } = hoaxToBeDeleted;
+  const cascadedAttachments = await findCascadedAttachments("id", [
+    hoaxToBeDeleted.id,
+  ]);
+  await hoaxToBeDeleted.destroy();
+  await deleteAttachmentFiles(cascadedAttachments);
+  await removeOrphanedPlaceholders(parentId);
+};
+
+// the hoaxes left to the user after the replied ones were kept as
+// placeholders go with the account, along with everything cascading from them
+const deleteHoaxesOfUser = async (userId) => {
+  const cascadedAttachments = await findCascadedAttachments("userId", [userId]);
+  await Hoax.destroy({ where: { userId } });
+  await deleteAttachmentFiles(cascadedAttachments);
+};
+
+const keepRepliedHoaxesOfUser = async (userId) => {
+  const repliedHoaxes = await Hoax.findAll({
+    attributes: ["id"],
+    where: { userId },
+    include: { model: Hoax, as: "replies", attributes: [], required: true },
+  });
+  const ids = repliedHoaxes.map((hoax) => hoax.id);
+  if (ids.length === 0) {
+    return;
+  }
+  await FileAttachment.destroy({ where: { hoaxId: ids } });
+  await removeHoaxRelations(ids);
+  await Hoax.update(
+    {
+      deleted: true,
+      content: null,
+      contentWarning: null,
+      pinnedAt: null,
+      userId: null,
+    },
+    { where: { id: ids } },
+  );
+};
+
+module.exports = {
+  save,
+  repost,
+  updateHoax,
+  getRevisions,
+  saveReply,
+  getHoaxes,
+  getHoaxesByCursor,
+  getHoaxesByTag,
+  getHoaxesByIds,
+  getHoax,
+  getPinnedHoaxes,
+  pinHoax,
+  unpinHoax,
+  findVisibleHoax,
+  getReplies,
+  deleteHoax,
+  keepRepliedHoaxesOfUser,
+  deleteHoaxesOfUser,
+};
@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Mention extends Model {}
+
+Mention.init(
+  {},
+  {
+    sequelize,
+    modelName: "mention",
+    timestamps: false,
+  },
+);
+
+module.exports = Mention;
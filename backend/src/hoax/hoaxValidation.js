@@ -0,0 +1,56 @@
+const { check } = require("express-validator");
+const { visibilities } = require("../shared/authorization");
+
+// drafts carry the same fields as the hoaxes they are published as, so both
+// routes validate them with these chains
+const contentValidation = check("content")
+  .isLength({ min: 10, max: 5000 })
+  .withMessage("hoax_content_size");
+
+const visibilityValidation = check("visibility")
+  .optional()
+  .isIn(visibilities)
+  .withMessage("hoax_visibility_invalid");
+
+const flagValidation = [
+  check("contentWarning")
+    .optional({ values: "falsy" })
+    .isLength({ max: 200 })
+    .withMessage("content_warning_size"),
+  check("sensitive")
+    .optional()
+    .isBoolean()
+    .withMessage("sensitive_invalid")
+    .toBoolean(),
+];
+
+const pollValidation = [
+  check("poll.options")
+    .if(check("poll").exists())
+    .isArray({ min: 2, max: 4 })
+    .withMessage("poll_options_size")
+    .bail()
+    .custom((options) =>
+      options.every(
+        (option) =>
+          typeof option === "string" &&
+          option.trim().length > 0 &&
+          option.length <= 100,
+      ),
+    )
+    .withMessage("poll_option_size"),
+  check("poll.expiresAt")
+    .if(check("poll").exists())
+    .isInt()
+    .withMessage("poll_expiry_invalid")
+    .bail()
+    .custom((expiresAt) => Number(expiresAt) > Date.now())
+    .withMessage("poll_expiry_invalid"),
+];
+
+module.exports = {
+  contentValidation,
+  visibilityValidation,
+  flagValidation,
+  pollValidation,
+};
@@ -0,0 +1,31 @@
+const ValidationException = require("../error/ValidationException");
+
+const cursorPagination = (req, res, next) => {
+  const cursorAsNumber = Number.parseInt(req.params.cursor);
+  const sizeAsNumber = Number.parseInt(req.query.size);
+
+  // a missing cursor starts the feed from the newest item
+  const hasCursor = req.params.cursor !== undefined;
+  if (hasCursor && (Number.isNaN(cursorAsNumber) || cursorAsNumber < 1)) {
+    return next(
+      new ValidationException([{ path: "cursor", msg: "cursor_invalid" }]),
+    );
+  }
+  let size = Number.isNaN(sizeAsNumber) ? 10 : sizeAsNumber;
+  if (size > 10 || size < 1) {
+    size = 10;
+  }
+  const direction =
+    hasCursor && req.query.direction === "after" ? "after" : "before";
+  const countOnly = req.query.count === "true";
+
+  req.cursor = {
+    id: hasCursor ? cursorAsNumber : null,
+    direction,
+    size,
+    countOnly,
+  };
+  next();
+};
+
+module.exports = cursorPagination;
@@ -6,6 +6,8 @@ const pagination = (req, res, next) => {
   if (page < 0) {
     page = 0;
   }
+  // an out of range size falls back to the default page size instead of
+  // failing the request, every list endpoint shares this and clients rely on it
   let size = Number.isNaN(sizeAsNumber) ? 10 : sizeAsNumber;
   if (size > 10 || size < 1) {
     size = 10;
@@ -0,0 +1,26 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class ModerationAction extends Model {}
+
+ModerationAction.init(
+  {
+    action: {
+      type: Sequelize.STRING,
+    },
+    contentWarning: {
+      type: Sequelize.STRING,
+    },
+    sensitive: {
+      type: Sequelize.BOOLEAN,
+    },
+  },
+  {
+    sequelize,
+    modelName: "moderationAction",
+  },
+);
+
+module.exports = ModerationAction;
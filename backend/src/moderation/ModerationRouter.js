@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const ModerationService = require("./ModerationService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const ValidationException = require("../error/ValidationException");
+
+router.post(
+  "/api/1.0/hoaxes/:id/flags",
+  check("contentWarning")
+    .optional({ values: "falsy" })
+    .isLength({ max: 200 })
+    .withMessage("content_warning_size"),
+  check("sensitive")
+    .optional()
+    .isBoolean()
+    .withMessage("sensitive_invalid")
+    .toBoolean(),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_hoax_flag"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    if (!req.body.contentWarning && !req.body.sensitive) {
+      return next(
+        new ValidationException([
+          { path: "contentWarning", msg: "hoax_flag_empty" },
+        ]),
+      );
+    }
+    try {
+      await ModerationService.flagHoax(
+        req.params.id,
+        req.body,
+        req.authenticatedUser,
+      );
+      res.send();
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+module.exports = router;
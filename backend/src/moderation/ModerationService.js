@@ -0,0 +1,42 @@
+const User = require("../user/User");
+const ModerationAction = require("./ModerationAction");
+const HoaxService = require("../hoax/HoaxService");
+const ForbiddenException = require("../error/ForbidenException");
+const NotFoundException = require("../error/NotFoundException");
+const { isSelf } = require("../shared/authorization");
+
+// authors flag their own hoaxes freely, moderators can flag anyone's and
+// leave a record of it
+const flagHoax = async (hoaxId, body, authenticatedUser) => {
+  const hoax = await HoaxService.findVisibleHoax(hoaxId, authenticatedUser);
+  if (!hoax) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  const isAuthor = isSelf(authenticatedUser, hoax.userId);
+  if (!isAuthor) {
+    const user = await User.findOne({ where: { id: authenticatedUser.id } });
+    if (!user || !user.moderator) {
+      throw new ForbiddenException("unauthroized_hoax_flag");
+    }
+  }
+  if (body.contentWarning) {
+    hoax.contentWarning = body.contentWarning;
+  }
+  if (body.sensitive) {
+    hoax.sensitive = true;
+  }
+  await hoax.save();
+  if (!isAuthor) {
+    await ModerationAction.create({
+      action: "flag",
+      contentWarning: body.contentWarning || null,
+      sensitive: Boolean(body.sensitive),
+      hoaxId: hoax.id,
+      moderatorId: authenticatedUser.id,
+    });
+  }
+};
+
+module.exports = {
+  flagHoax,
+};
@@ -0,0 +1,24 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Notification extends Model {}
+
+Notification.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+    },
+    read: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+  },
+  {
+    sequelize,
+    modelName: "notification",
+  },
+);
+
+module.exports = Notification;
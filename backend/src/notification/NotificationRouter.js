@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const NotificationService = require("./NotificationService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const pagination = require("../middleware/pagination");
+
+router.get("/api/1.0/notifications", pagination, async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_notifications"));
+  }
+  const { page, size } = req.pagination;
+  const notifications = await NotificationService.getNotifications(
+    req.authenticatedUser.id,
+    page,
+    size,
+  );
+  res.send(notifications);
+});
+
+module.exports = router;
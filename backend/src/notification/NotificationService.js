@@ -0,0 +1,56 @@
+const Notification = require("./Notification");
+const User = require("../user/User");
+const Hoax = require("../hoax/Hoax");
+const { visibleHoaxesWhere } = require("../shared/authorization");
+
+// a mention only notifies users who are allowed to read the hoax, a
+// followers-only hoax or one of a private account stays unseen otherwise
+const canRead = async (hoax, userId, transaction) => {
+  const count = await Hoax.count({
+    where: { id: hoax.id, ...visibleHoaxesWhere({ id: userId }) },
+    transaction,
+  });
+  return count > 0;
+};
+
+const notifyMentions = async (hoax, userIds, transaction) => {
+  const readers = [];
+  for (const userId of userIds) {
+    if (userId !== hoax.userId && (await canRead(hoax, userId, transaction))) {
+      readers.push(userId);
+    }
+  }
+  const notifications = readers.map((userId) => ({
+    type: "mention",
+    userId,
+    actorId: hoax.userId,
+    hoaxId: hoax.id,
+  }));
+  await Notification.bulkCreate(notifications, { transaction });
+};
+
+const getNotifications = async (userId, page, size) => {
+  const notificationsWithCount = await Notification.findAndCountAll({
+    where: { userId },
+    attributes: ["id", "type", "read", "hoaxId", "createdAt"],
+    include: {
+      model: User,
+      as: "actor",
+      attributes: ["id", "username", "image"],
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: notificationsWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(notificationsWithCount.count / size),
+  };
+};
+
+module.exports = {
+  notifyMentions,
+  getNotifications,
+};
@@ -0,0 +1,38 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const PollOption = require("./PollOption");
+const PollVote = require("./PollVote");
+
+const Model = Sequelize.Model;
+
+class Poll extends Model {}
+
+Poll.init(
+  {
+    expiresAt: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: "poll",
+    timestamps: false,
+  },
+);
+
+// Relationships
+Poll.hasMany(PollOption, {
+  as: "options",
+  onDelete: "cascade",
+  foreignKey: "pollId",
+});
+PollOption.belongsTo(Poll);
+Poll.hasMany(PollVote, { onDelete: "cascade", foreignKey: "pollId" });
+PollVote.belongsTo(Poll);
+PollOption.hasMany(PollVote, {
+  onDelete: "cascade",
+  foreignKey: "pollOptionId",
+});
+PollVote.belongsTo(PollOption);
+
+module.exports = Poll;
@@ -0,0 +1,24 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class PollOption extends Model {}
+
+PollOption.init(
+  {
+    text: {
+      type: Sequelize.STRING,
+    },
+    position: {
+      type: Sequelize.INTEGER,
+    },
+  },
+  {
+    sequelize,
+    modelName: "pollOption",
+    timestamps: false,
+  },
+);
+
+module.exports = PollOption;
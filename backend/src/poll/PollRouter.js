@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const PollService = require("./PollService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const ValidationException = require("../error/ValidationException");
+
+router.post(
+  "/api/1.0/hoaxes/:id/poll/votes",
+  check("option").isInt().withMessage("poll_option_invalid"),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_poll_vote"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await PollService.vote(
+        req.params.id,
+        req.body.option,
+        req.authenticatedUser,
+      );
+      res.send();
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+module.exports = router;
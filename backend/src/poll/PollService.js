@@ -0,0 +1,133 @@
+const Sequelize = require("sequelize");
+const Poll = require("./Poll");
+const PollOption = require("./PollOption");
+const PollVote = require("./PollVote");
+const ForbiddenException = require("../error/ForbidenException");
+const NotFoundException = require("../error/NotFoundException");
+const ValidationException = require("../error/ValidationException");
+const Hoax = require("../hoax/Hoax");
+const { visibleHoaxesWhere } = require("../shared/authorization");
+
+const isClosed = (poll) => poll.expiresAt <= Date.now();
+
+const createPoll = async (hoaxId, poll, transaction) => {
+  const savedPoll = await Poll.create(
+    { hoaxId, expiresAt: poll.expiresAt },
+    { transaction },
+  );
+  await PollOption.bulkCreate(
+    poll.options.map((text, position) => ({
+      text,
+      position,
+      pollId: savedPoll.id,
+    })),
+    { transaction },
+  );
+};
+
+const vote = async (hoaxId, optionId, user) => {
+  const poll = await Poll.findOne({
+    where: { hoaxId },
+    include: {
+      model: Hoax,
+      attributes: [],
+      where: {
+        deleted: false,
+        [Sequelize.Op.and]: [visibleHoaxesWhere(user)],
+      },
+    },
+  });
+  if (!poll) {
+    throw new NotFoundException("poll_not_found");
+  }
+  if (isClosed(poll)) {
+    throw new ForbiddenException("poll_closed");
+  }
+  const option = await PollOption.findOne({
+    where: { id: optionId, pollId: poll.id },
+  });
+  if (!option) {
+    throw new ValidationException([
+      { path: "option", msg: "poll_option_invalid" },
+    ]);
+  }
+  const existingVote = await PollVote.findOne({
+    where: { pollId: poll.id, userId: user.id },
+  });
+  if (existingVote) {
+    throw new ValidationException([
+      { path: "option", msg: "poll_already_voted" },
+    ]);
+  }
+  await PollVote.create({
+    pollId: poll.id,
+    pollOptionId: option.id,
+    userId: user.id,
+  });
+};
+
+// vote counts are only revealed to users who voted, or to everyone once the
+// poll is closed, so early results cannot sway the vote
+const getPollSummaries = async (hoaxIds, authenticatedUser) => {
+  const polls = await Poll.findAll({
+    where: { hoaxId: hoaxIds },
+    include: {
+      model: PollOption,
+      as: "options",
+      attributes: ["id", "text", "position"],
+    },
+    order: [[{ model: PollOption, as: "options" }, "position", "ASC"]],
+  });
+  const pollIds = polls.map((poll) => poll.id);
+  const counts = await PollVote.findAll({
+    attributes: [
+      "pollOptionId",
+      [Sequelize.fn("COUNT", Sequelize.col("id")), "count"],
+    ],
+    where: { pollId: pollIds },
+    group: ["pollOptionId"],
+    raw: true,
+  });
+  const ownVotes = authenticatedUser
+    ? await PollVote.findAll({
+        attributes: ["pollId", "pollOptionId"],
+        where: { pollId: pollIds, userId: authenticatedUser.id },
+        raw: true,
+      })
+    : [];
+
+  const summaries = {};
+  polls.forEach((poll) => {
+    const ownVote = ownVotes.find((vote) => vote.pollId === poll.id);
+    const closed = isClosed(poll);
+    const showResults = closed || ownVote !== undefined;
+    const options = poll.options.map((option) => {
+      const summary = { id: option.id, text: option.text };
+      if (showResults) {
+        const count = counts.find((row) => row.pollOptionId === option.id);
+        summary.voteCount = count ? Number(count.count) : 0;
+      }
+      return summary;
+    });
+    const summary = {
+      expiresAt: Number(poll.expiresAt),
+      closed,
+      options,
+      ownVote: ownVote ? ownVote.pollOptionId : null,
+    };
+    if (showResults) {
+      summary.totalVotes = options.reduce(
+        (total, option) => total + option.voteCount,
+        0,
+      );
+    }
+    summaries[poll.hoaxId] = summary;
+  });
+  return summaries;
+};
+
+module.exports = {
+  createPoll,
+  vote,
+  getPollSummaries,
+};
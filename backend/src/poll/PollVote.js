@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class PollVote extends Model {}
+
+PollVote.init(
+  {},
+  {
+    sequelize,
+    modelName: "pollVote",
+    indexes: [{ unique: true, fields: ["userId", "pollId"] }],
+  },
+);
+
+module.exports = PollVote;
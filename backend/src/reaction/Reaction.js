@@ -0,0 +1,21 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Reaction extends Model {}
+
+Reaction.init(
+  {
+    type: {
+      type: Sequelize.STRING,
+    },
+  },
+  {
+    sequelize,
+    modelName: "reaction",
+    indexes: [{ unique: true, fields: ["userId", "hoaxId"] }],
+  },
+);
+
+module.exports = Reaction;
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const config = require("config");
+const ReactionService = require("./ReactionService");
+const AuthenticationException = require("../auth/AuthenticationException");
+const ValidationException = require("../error/ValidationException");
+const pagination = require("../middleware/pagination");
+
+router.post(
+  "/api/1.0/hoaxes/:id/reactions",
+  check("type").isIn(config.reactionTypes).withMessage("reaction_type_invalid"),
+  async (req, res, next) => {
+    if (!req.authenticatedUser) {
+      return next(new AuthenticationException("unauthroized_reaction"));
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await ReactionService.react(
+        req.params.id,
+        req.body.type,
+        req.authenticatedUser,
+      );
+      res.send();
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.delete("/api/1.0/hoaxes/:id/reactions", async (req, res, next) => {
+  if (!req.authenticatedUser) {
+    return next(new AuthenticationException("unauthroized_reaction"));
+  }
+  await ReactionService.removeReaction(req.params.id, req.authenticatedUser);
+  res.send();
+});
+
+router.get(
+  "/api/1.0/hoaxes/:id/reactions",
+  pagination,
+  async (req, res, next) => {
+    const { page, size } = req.pagination;
+    try {
+      const reactions = await ReactionService.getReactions(
+        req.params.id,
+        page,
+        size,
+        req.authenticatedUser,
+      );
+      res.send(reactions);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+module.exports = router;
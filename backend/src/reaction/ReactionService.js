@@ -0,0 +1,101 @@
+const Sequelize = require("sequelize");
+const config = require("config");
+const Reaction = require("./Reaction");
+const Hoax = require("../hoax/Hoax");
+const User = require("../user/User");
+const NotFoundException = require("../error/NotFoundException");
+const { visibleHoaxesWhere } = require("../shared/authorization");
+
+const findHoax = async (hoaxId, authenticatedUser) => {
+  const hoax = await Hoax.findOne({
+    where: {
+      id: hoaxId,
+      deleted: false,
+      [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+    },
+  });
+  if (!hoax) {
+    throw new NotFoundException("hoax_not_found");
+  }
+  return hoax;
+};
+
+const react = async (hoaxId, type, user) => {
+  const hoax = await findHoax(hoaxId, user);
+  const reaction = await Reaction.findOne({
+    where: { hoaxId: hoax.id, userId: user.id },
+  });
+  if (reaction) {
+    reaction.type = type;
+    await reaction.save();
+    return;
+  }
+  await Reaction.create({ type, hoaxId: hoax.id, userId: user.id });
+};
+
+const removeReaction = async (hoaxId, user) => {
+  await Reaction.destroy({ where: { hoaxId, userId: user.id } });
+};
+
+const getReactions = async (hoaxId, page, size, authenticatedUser) => {
+  const hoax = await findHoax(hoaxId, authenticatedUser);
+  const reactionsWithCount = await Reaction.findAndCountAll({
+    where: { hoaxId: hoax.id },
+    attributes: ["type"],
+    include: {
+      model: User,
+      as: "user",
+      attributes: ["id", "username", "image"],
+    },
+    order: [["id", "DESC"]],
+    limit: size,
+    offset: page * size,
+  });
+  return {
+    content: reactionsWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(reactionsWithCount.count / size),
+  };
+};
+
+const getReactionSummaries = async (hoaxIds, authenticatedUser) => {
+  const counts = await Reaction.findAll({
+    attributes: [
+      "hoaxId",
+      "type",
+      [Sequelize.fn("COUNT", Sequelize.col("id")), "count"],
+    ],
+    where: { hoaxId: hoaxIds },
+    group: ["hoaxId", "type"],
+    raw: true,
+  });
+  const ownReactions = authenticatedUser
+    ? await Reaction.findAll({
+        attributes: ["hoaxId", "type"],
+        where: { hoaxId: hoaxIds, userId: authenticatedUser.id },
+        raw: true,
+      })
+    : [];
+
+  const summaries = {};
+  hoaxIds.forEach((id) => {
+    const reactionCounts = {};
+    config.reactionTypes.forEach((type) => (reactionCounts[type] = 0));
+    summaries[id] = { reactionCounts, ownReaction: null };
+  });
+  counts.forEach((row) => {
+    summaries[row.hoaxId].reactionCounts[row.type] = Number(row.count);
+  });
+  ownReactions.forEach((row) => {
+    summaries[row.hoaxId].ownReaction = row.type;
+  });
+  return summaries;
+};
+
+module.exports = {
+  react,
+  removeReaction,
+  getReactions,
+  getReactionSummaries,
+};
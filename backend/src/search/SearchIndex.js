@@ -0,0 +1,166 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const User = require("../user/User");
+const Hoax = require("../hoax/Hoax");
+
+// FTS5 shadow tables, the rowid of each entry is the id of the source row
+const indexes = {
+  users: { table: "userSearch", source: "users", column: "username" },
+  hoaxes: { table: "hoaxSearch", source: "hoaxes", column: "content" },
+};
+
+const isFullTextSupported = () => sequelize.getDialect() === "sqlite";
+
+const createIndexTables = async (options) => {
+  if (!isFullTextSupported()) {
+    return;
+  }
+  for (const { table, source, column } of Object.values(indexes)) {
+    if (options.force) {
+      await sequelize.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+    await sequelize.query(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${table} USING fts5(${column}, tokenize = 'unicode61 remove_diacritics 2')`,
+    );
+    await sequelize.query(
+      `INSERT INTO ${table}(rowid, ${column}) SELECT id, ${column} FROM ${source} WHERE id NOT IN (SELECT rowid FROM ${table})`,
+    );
+  }
+};
+
+const indexRow = ({ table, column }) => {
+  return async (instance, options) => {
+    if (!isFullTextSupported()) {
+      return;
+    }
+    const { transaction } = options;
+    await sequelize.query(`DELETE FROM ${table} WHERE rowid = ?`, {
+      replacements: [instance.id],
+      transaction,
+    });
+    // placeholders and plain reposts carry no text to index
+    if (instance[column] == null) {
+      return;
+    }
+    await sequelize.query(
+      `INSERT INTO ${table}(rowid, ${column}) VALUES (?, ?)`,
+      { replacements: [instance.id, instance[column]], transaction },
+    );
+  };
+};
+
+// cascading deletes take replies and reposts along without running their
+// hooks, so the whole tree of hoaxes going away is collected from the rows
+// the delete starts with
+const removedHoaxesQuery = (seed) =>
+  `WITH RECURSIVE removed(id) AS (${seed} UNION SELECT hoaxes.id FROM hoaxes JOIN removed ON hoaxes.parentId = removed.id OR hoaxes.repostOfId = removed.id) SELECT id FROM removed`;
+
+const findRemovedEntries = async (model, ids, transaction) => {
+  const entries = { users: model === User ? ids : [], hoaxes: [] };
+  if (ids.length === 0) {
+    return entries;
+  }
+  const seed =
+    model === User
+      ? "SELECT id FROM hoaxes WHERE userId IN (:ids)"
+      : "SELECT id FROM hoaxes WHERE id IN (:ids)";
+  const rows = await sequelize.query(removedHoaxesQuery(seed), {
+    replacements: { ids },
+    type: Sequelize.QueryTypes.SELECT,
+    transaction,
+  });
+  entries.hoaxes = rows.map((row) => row.id);
+  return entries;
+};
+
+const removeEntries = async (entries, transaction) => {
+  for (const [name, ids] of Object.entries(entries)) {
+    if (ids.length === 0) {
+      continue;
+    }
+    await sequelize.query(
+      `DELETE FROM ${indexes[name].table} WHERE rowid IN (:ids)`,
+      { replacements: { ids }, transaction },
+    );
+  }
+};
+
+// the entries are collected before the delete, while the rows still exist,
+// and passed on to the after hook through the shared options
+const collectOnDestroy = (model) => {
+  return async (instance, options) => {
+    if (!isFullTextSupported()) {
+      return;
+    }
+    options.removedSearchEntries = await findRemovedEntries(
+      model,
+      [instance.id],
+      options.transaction,
+    );
+  };
+};
+
+const collectOnBulkDestroy = (model) => {
+  return async (options) => {
+    if (!isFullTextSupported() || options.truncate) {
+      return;
+    }
+    const rows = await model.findAll({
+      attributes: ["id"],
+      where: options.where,
+      transaction: options.transaction,
+    });
+    options.removedSearchEntries = await findRemovedEntries(
+      model,
+      rows.map((row) => row.id),
+      options.transaction,
+    );
+  };
+};
+
+const removeOnDestroy = async (instance, options) => {
+  if (!options.removedSearchEntries) {
+    return;
+  }
+  await removeEntries(options.removedSearchEntries, options.transaction);
+};
+
+// truncating users cascades to every hoax, truncating hoaxes leaves the
+// users in place
+const removeOnBulkDestroy = (model) => {
+  return async (options) => {
+    if (!isFullTextSupported()) {
+      return;
+    }
+    if (!options.truncate) {
+      await removeOnDestroy(null, options);
+      return;
+    }
+    const tables =
+      model === User
+        ? [indexes.users.table, indexes.hoaxes.table]
+        : [indexes.hoaxes.table];
+    for (const table of tables) {
+      await sequelize.query(`DELETE FROM ${table}`, {
+        transaction: options.transaction,
+      });
+    }
+  };
+};
+
+sequelize.addHook("afterBulkSync", createIndexTables);
+for (const [model, index] of [
+  [User, indexes.users],
+  [Hoax, indexes.hoaxes],
+]) {
+  model.addHook("afterSave", indexRow(index));
+  model.addHook("beforeDestroy", collectOnDestroy(model));
+  model.addHook("afterDestroy", removeOnDestroy);
+  model.addHook("beforeBulkDestroy", collectOnBulkDestroy(model));
+  model.addHook("afterBulkDestroy", removeOnBulkDestroy(model));
+}
+
+module.exports = {
+  indexes,
+  isFullTextSupported,
+};
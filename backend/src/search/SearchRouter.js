@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+const { check, validationResult } = require("express-validator");
+const SearchService = require("./SearchService");
+const ValidationException = require("../error/ValidationException");
+const pagination = require("../middleware/pagination");
+
+router.get(
+  "/api/1.0/search",
+  pagination,
+  check("q").trim().notEmpty().withMessage("search_query_null"),
+  check("type")
+    .optional()
+    .isIn(["users", "hoaxes"])
+    .withMessage("search_type_invalid"),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    const { page, size } = req.pagination;
+    const { q, type } = req.query;
+    try {
+      const result =
+        type === "users"
+          ? await SearchService.searchUsers(
+              q,
+              page,
+              size,
+              req.authenticatedUser,
+            )
+          : await SearchService.searchHoaxes(
+              q,
+              page,
+              size,
+              req.authenticatedUser,
+            );
+      res.send(result);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+const User = require("../user/User");
+const Hoax = require("../hoax/Hoax");
+const HoaxService = require("../hoax/HoaxService");
+const { indexes, isFullTextSupported } = require("./SearchIndex");
+const {
+  unblockedUsersWhere,
+  unblockedUsersCondition,
+  visibleHoaxesWhere,
+  visibleHoaxesCondition,
+} = require("../shared/authorization");
+
+const userAttributes = ["id", "username", "email", "image"];
+
+// every term is quoted so user input cannot inject FTS5 operators, and
+// matched as a prefix so partial words still find results
+const toMatchExpression = (query) => {
+  return query
+    .split(/\s+/)
+    .filter((term) => term.length > 0)
+    .map((term) => `"${term.replace(/"/g, '""')}"*`)
+    .join(" ");
+};
+
+const toLikePattern = (query) => {
+  return `%${query.replace(/[\\%_]/g, (character) => "\\" + character)}%`;
+};
+
+const rankedIds = async (table, joins, where, query, page, size) => {
+  const replacements = { match: toMatchExpression(query) };
+  const from = `FROM ${table} ${joins} WHERE ${table} MATCH :match AND ${where}`;
+  const [{ count }] = await sequelize.query(
+    `SELECT COUNT(*) AS count ${from}`,
+    {
+      replacements,
+      type: Sequelize.QueryTypes.SELECT,
+    },
+  );
+  const rows = await sequelize.query(
+    `SELECT ${table}.rowid AS id ${from} ORDER BY ${table}.rank LIMIT :size OFFSET :offset`,
+    {
+      replacements: { ...replacements, size, offset: page * size },
+      type: Sequelize.QueryTypes.SELECT,
+    },
+  );
+  return { ids: rows.map((row) => row.id), count };
+};
+
+const inOrder = (ids, rows) => {
+  return ids
+    .map((id) => rows.find((row) => row.id === id))
+    .filter((row) => row !== undefined);
+};
+
+const searchUsers = async (query, page, size, authenticatedUser) => {
+  let usersWithCount;
+  if (isFullTextSupported()) {
+    const { table } = indexes.users;
+    const { ids, count } = await rankedIds(
+      table,
+      `JOIN users ON users.id = ${table}.rowid`,
+      `users.inactive = 0 AND ${unblockedUsersCondition(authenticatedUser)}`,
+      query,
+      page,
+      size,
+    );
+    const users = await User.findAll({
+      where: { id: ids },
+      attributes: userAttributes,
+    });
+    usersWithCount = { rows: inOrder(ids, users), count };
+  } else {
+    usersWithCount = await User.findAndCountAll({
+      where: {
+        inactive: false,
+        username: { [Sequelize.Op.like]: toLikePattern(query) },
+        ...unblockedUsersWhere(authenticatedUser),
+      },
+      attributes: userAttributes,
+      order: [["username", "ASC"]],
+      limit: size,
+      offset: page * size,
+    });
+  }
+  return {
+    content: usersWithCount.rows,
+    page,
+    size,
+    totalPages: Math.ceil(usersWithCount.count / size),
+  };
+};
+
+const searchHoaxes = async (query, page, size, authenticatedUser) => {
+  let ids, count;
+  if (isFullTextSupported()) {
+    const { table } = indexes.hoaxes;
+    ({ ids, count } = await rankedIds(
+      table,
+      `JOIN hoaxes ON hoaxes.id = ${table}.rowid JOIN users ON users.id = hoaxes.userId`,
+      `hoaxes.deleted = 0 AND users.inactive = 0 AND ${visibleHoaxesCondition(
+        authenticatedUser,
+      )}`,
+      query,
+      page,
+      size,
+    ));
+  } else {
+    const hoaxesWithCount = await Hoax.findAndCountAll({
+      where: {
+        deleted: false,
+        content: { [Sequelize.Op.like]: toLikePattern(query) },
+        [Sequelize.Op.and]: [visibleHoaxesWhere(authenticatedUser)],
+      },
+      attributes: ["id"],
+      include: {
+        model: User,
+        as: "user",
+        attributes: [],
+        where: { inactive: false },
+      },
+      order: [["id", "DESC"]],
+      limit: size,
+      offset: page * size,
+    });
+    ids = hoaxesWithCount.rows.map((hoax) => hoax.id);
+    count = hoaxesWithCount.count;
+  }
+  return {
+    content: await HoaxService.getHoaxesByIds(ids, authenticatedUser),
+    page,
+    size,
+    totalPages: Math.ceil(count / size),
+  };
+};
+
+module.exports = {
+  searchUsers,
+  searchHoaxes,
+};
@@ -0,0 +1,167 @@
+const Sequelize = require("sequelize");
+
+const visibilities = ["public", "followers", "mentioned"];
+
+// route params arrive as strings while the authenticated user carries the
+// numeric id from the database, so every ownership check goes through here
+const isSelf = (authenticatedUser, userId) => {
+  return Boolean(authenticatedUser) && authenticatedUser.id === Number(userId);
+};
+
+const followedUsersQuery = (userId) =>
+  `(SELECT followingId FROM follows WHERE followerId = ${Number(userId)})`;
+
+const privateUsersQuery = "(SELECT id FROM users WHERE private = 1)";
+
+const inactiveUsersQuery = "(SELECT id FROM users WHERE inactive = 1)";
+
+const mentionedHoaxesQuery = (userId) =>
+  `(SELECT hoaxId FROM mentions WHERE userId = ${Number(userId)})`;
+
+// a block works both ways, neither user sees the other
+const blockedUsersQuery = (userId) =>
+  `(SELECT blockedId FROM blocks WHERE blockerId = ${Number(userId)}
+    UNION SELECT blockerId FROM blocks WHERE blockedId = ${Number(userId)})`;
+
+const mutedUsersQuery = (userId) =>
+  `(SELECT mutedId FROM mutes WHERE muterId = ${Number(userId)})`;
+
+const unblockedUsersWhere = (authenticatedUser, column = "id") => {
+  if (!authenticatedUser) {
+    return {};
+  }
+  return {
+    [column]: {
+      [Sequelize.Op.notIn]: Sequelize.literal(
+        blockedUsersQuery(authenticatedUser.id),
+      ),
+    },
+  };
+};
+
+// the same exclusion for raw queries
+const unblockedUsersCondition = (authenticatedUser, column = "users.id") => {
+  if (!authenticatedUser) {
+    return "1 = 1";
+  }
+  return `${column} NOT IN ${blockedUsersQuery(authenticatedUser.id)}`;
+};
+
+const unmutedUsersWhere = (authenticatedUser, column = "userId") => {
+  return {
+    [column]: {
+      [Sequelize.Op.notIn]: Sequelize.literal(
+        mutedUsersQuery(authenticatedUser.id),
+      ),
+    },
+  };
+};
+
+const visibilityRules = (id) => {
+  return [
+    { visibility: "public" },
+    { userId: id },
+    {
+      visibility: "followers",
+      userId: {
+        [Sequelize.Op.in]: Sequelize.literal(followedUsersQuery(id)),
+      },
+    },
+    {
+      visibility: "mentioned",
+      id: { [Sequelize.Op.in]: Sequelize.literal(mentionedHoaxesQuery(id)) },
+    },
+  ];
+};
+
+// hoaxes of a private account are only read by the account and its
+// approved followers, whatever their visibility
+const readableAuthorRules = (authenticatedUser) => {
+  const rules = [
+    { userId: null },
+    { userId: { [Sequelize.Op.notIn]: Sequelize.literal(privateUsersQuery) } },
+  ];
+  if (authenticatedUser) {
+    const { id } = authenticatedUser;
+    rules.push(
+      { userId: id },
+      {
+        userId: {
+          [Sequelize.Op.in]: Sequelize.literal(followedUsersQuery(id)),
+        },
+      },
+    );
+  }
+  return rules;
+};
+
+// hoaxes of deactivated accounts are hidden along with the account
+const activeAuthorWhere = {
+  [Sequelize.Op.or]: [
+    { userId: null },
+    { userId: { [Sequelize.Op.notIn]: Sequelize.literal(inactiveUsersQuery) } },
+  ],
+};
+
+// a user reads public hoaxes, their own hoaxes, followers-only hoaxes of the
+// users they follow and mentioned-only hoaxes they are mentioned in, as long
+// as there is no block between them and the author. Placeholders of deleted
+// hoaxes have no author and stay in place
+const visibleHoaxesWhere = (authenticatedUser) => {
+  const readableAuthor = {
+    [Sequelize.Op.or]: readableAuthorRules(authenticatedUser),
+  };
+  if (!authenticatedUser) {
+    return {
+      [Sequelize.Op.and]: [
+        { visibility: "public" },
+        activeAuthorWhere,
+        readableAuthor,
+      ],
+    };
+  }
+  const { id } = authenticatedUser;
+  return {
+    [Sequelize.Op.and]: [
+      {
+        [Sequelize.Op.or]: [
+          { userId: null },
+          unblockedUsersWhere(authenticatedUser, "userId"),
+        ],
+      },
+      activeAuthorWhere,
+      readableAuthor,
+      { [Sequelize.Op.or]: visibilityRules(id) },
+    ],
+  };
+};
+
+// the same rule for raw queries like the full text search
+const visibleHoaxesCondition = (authenticatedUser, table = "hoaxes") => {
+  if (!authenticatedUser) {
+    return `(${table}.visibility = 'public'
+    AND (${table}.userId IS NULL OR ${table}.userId NOT IN ${inactiveUsersQuery})
+    AND (${table}.userId IS NULL OR ${table}.userId NOT IN ${privateUsersQuery}))`;
+  }
+  const { id } = authenticatedUser;
+  return `((${table}.userId IS NULL OR ${table}.userId NOT IN ${blockedUsersQuery(id)})
+    AND (${table}.userId IS NULL OR ${table}.userId NOT IN ${inactiveUsersQuery})
+    AND (${table}.userId IS NULL
+    OR ${table}.userId NOT IN ${privateUsersQuery}
+    OR ${table}.userId = ${Number(id)}
+    OR ${table}.userId IN ${followedUsersQuery(id)})
+    AND (${table}.visibility = 'public'
+    OR ${table}.userId = ${Number(id)}
+    OR (${table}.visibility = 'followers' AND ${table}.userId IN ${followedUsersQuery(id)})
+    OR (${table}.visibility = 'mentioned' AND ${table}.id IN ${mentionedHoaxesQuery(id)})))`;
+};
+
+module.exports = {
+  visibilities,
+  isSelf,
+  unblockedUsersWhere,
+  unblockedUsersCondition,
+  unmutedUsersWhere,
+  visibleHoaxesWhere,
+  visibleHoaxesCondition,
+};
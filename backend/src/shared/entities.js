@@ -0,0 +1,32 @@
+const hashtagPattern = /(^|[^\p{L}\p{N}_#&])#([\p{L}\p{N}_]+)/gu;
+const mentionPattern =
+  /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/gu;
+
+const collect = (content, pattern, type) => {
+  const entities = [];
+  for (const match of content.matchAll(pattern)) {
+    const start = match.index + match[1].length;
+    entities.push({
+      type,
+      start,
+      end: start + match[2].length + 1,
+      value: match[2],
+    });
+  }
+  return entities;
+};
+
+// offsets are string indexes, so content.slice(start, end) gives back "#tag"
+const parseEntities = (content) => {
+  if (!content) {
+    return [];
+  }
+  return [
+    ...collect(content, hashtagPattern, "hashtag"),
+    ...collect(content, mentionPattern, "mention"),
+  ].sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  parseEntities,
+};
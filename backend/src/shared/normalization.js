@@ -0,0 +1,20 @@
+// NFKC folds look-alike characters such as full width letters into their
+// plain form, so "ｕｓｅｒ１" and "user1" end up as the same identity
+const normalizeEmail = (email) => {
+  return email.normalize("NFKC").trim().toLowerCase();
+};
+
+const normalizeUsername = (username) => {
+  return username.normalize("NFKC").trim();
+};
+
+// usernames keep the casing the user picked, uniqueness is checked on this key
+const usernameKey = (username) => {
+  return normalizeUsername(username).toLowerCase();
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizeUsername,
+  usernameKey,
+};
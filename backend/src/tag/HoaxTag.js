@@ -0,0 +1,17 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class HoaxTag extends Model {}
+
+HoaxTag.init(
+  {},
+  {
+    sequelize,
+    modelName: "hoaxTag",
+    timestamps: false,
+  },
+);
+
+module.exports = HoaxTag;
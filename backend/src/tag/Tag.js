@@ -0,0 +1,22 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class Tag extends Model {}
+
+Tag.init(
+  {
+    name: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "tag",
+    timestamps: false,
+  },
+);
+
+module.exports = Tag;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const HoaxService = require("../hoax/HoaxService");
+const pagination = require("../middleware/pagination");
+
+router.get("/api/1.0/tags/:tag/hoaxes", pagination, async (req, res) => {
+  const { page, size } = req.pagination;
+  const hoaxes = await HoaxService.getHoaxesByTag(
+    req.params.tag,
+    page,
+    size,
+    req.authenticatedUser,
+  );
+  res.send(hoaxes);
+});
+
+module.exports = router;
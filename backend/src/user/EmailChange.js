@@ -0,0 +1,36 @@
+const Sequelize = require("sequelize");
+const sequelize = require("../config/database");
+
+const Model = Sequelize.Model;
+
+class EmailChange extends Model {}
+
+EmailChange.init(
+  {
+    email: {
+      type: Sequelize.STRING,
+    },
+    previousEmail: {
+      type: Sequelize.STRING,
+    },
+    confirmationToken: {
+      type: Sequelize.STRING,
+    },
+    confirmationExpiresAt: {
+      type: Sequelize.BIGINT,
+    },
+    revertToken: {
+      type: Sequelize.STRING,
+    },
+    revertExpiresAt: {
+      type: Sequelize.BIGINT,
+    },
+  },
+  {
+    sequelize,
+    modelName: "emailChange",
+    timestamps: false,
+  },
+);
+
+module.exports = EmailChange;
@@ -1,5 +1,5 @@
-module.exports = function InvalidTokenException() {
-    this.message = "account_activation_failure";
+module.exports = function InvalidTokenException(message) {
+    this.message = message || "account_activation_failure";
     this.status = 400;
   };
   
\ No newline at end of file
@@ -1,6 +1,26 @@
 const Sequelize = require("sequelize");
 const sequelize = require("../config/database");
 const Token = require("../auth/Token");
+const Hoax = require("../hoax/Hoax");
+const Reaction = require("../reaction/Reaction");
+const Follow = require("../follow/Follow");
+const FollowRequest = require("../follow/FollowRequest");
+const Mention = require("../hoax/Mention");
+const Notification = require("../notification/Notification");
+const Bookmark = require("../bookmark/Bookmark");
+const Draft = require("../draft/Draft");
+const FileAttachment = require("../file/FileAttachment");
+const PollVote = require("../poll/PollVote");
+const ModerationAction = require("../moderation/ModerationAction");
+const EmailChange = require("./EmailChange");
+const DataExport = require("../export/DataExport");
+const Block = require("../block/Block");
+const Mute = require("../block/Mute");
+const {
+  normalizeEmail,
+  normalizeUsername,
+  usernameKey,
+} = require("../shared/normalization");
 
 const Model = Sequelize.Model;
 
@@ -11,8 +31,13 @@ User.init(
     username: {
       type: Sequelize.STRING,
     },
+    usernameKey: {
+      type: Sequelize.STRING,
+      unique: true,
+    },
     email: {
       type: Sequelize.STRING,
+      unique: true,
     },
     password: {
       type: Sequelize.STRING,
@@ -30,14 +55,127 @@ User.init(
     image: {
       type: Sequelize.STRING,
     },
+    displayName: {
+      type: Sequelize.STRING,
+    },
+    bio: {
+      type: Sequelize.STRING,
+    },
+    location: {
+      type: Sequelize.STRING,
+    },
+    website: {
+      type: Sequelize.STRING,
+    },
+    expandSensitive: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    moderator: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    private: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false,
+    },
+    deactivatedAt: {
+      type: Sequelize.BIGINT,
+    },
   },
   {
     sequelize,
     modelName: "user",
+    hooks: {
+      beforeSave: (user) => {
+        if (user.username) {
+          user.username = normalizeUsername(user.username);
+          user.usernameKey = usernameKey(user.username);
+        }
+        if (user.email) {
+          user.email = normalizeEmail(user.email);
+        }
+      },
+    },
   },
 );
 
 // Relationships
 User.hasMany(Token, { onDelete: "cascade", foreignKey: "userId" });
+User.hasMany(Hoax, { onDelete: "cascade", foreignKey: "userId" });
+Hoax.belongsTo(User);
+User.hasMany(Reaction, { onDelete: "cascade", foreignKey: "userId" });
+Reaction.belongsTo(User);
+User.hasMany(Follow, {
+  as: "followings",
+  onDelete: "cascade",
+  foreignKey: "followerId",
+});
+User.hasMany(Follow, {
+  as: "followers",
+  onDelete: "cascade",
+  foreignKey: "followingId",
+});
+Follow.belongsTo(User, { as: "follower", foreignKey: "followerId" });
+Follow.belongsTo(User, { as: "following", foreignKey: "followingId" });
+User.hasMany(FollowRequest, {
+  as: "sentFollowRequests",
+  onDelete: "cascade",
+  foreignKey: "followerId",
+});
+User.hasMany(FollowRequest, {
+  as: "receivedFollowRequests",
+  onDelete: "cascade",
+  foreignKey: "followingId",
+});
+FollowRequest.belongsTo(User, { as: "follower", foreignKey: "followerId" });
+FollowRequest.belongsTo(User, { as: "following", foreignKey: "followingId" });
+User.hasMany(Mention, { onDelete: "cascade", foreignKey: "userId" });
+Mention.belongsTo(User);
+User.hasMany(Notification, { onDelete: "cascade", foreignKey: "userId" });
+User.hasMany(Notification, {
+  as: "actedNotifications",
+  onDelete: "cascade",
+  foreignKey: "actorId",
+});
+Notification.belongsTo(User, { as: "actor", foreignKey: "actorId" });
+User.hasMany(Bookmark, { onDelete: "cascade", foreignKey: "userId" });
+Bookmark.belongsTo(User);
+User.hasMany(Draft, { onDelete: "cascade", foreignKey: "userId" });
+Draft.belongsTo(User);
+// uploads outlive the uploader until the unused attachment cleanup runs
+User.hasMany(FileAttachment, { onDelete: "SET NULL", foreignKey: "userId" });
+User.hasMany(PollVote, { onDelete: "cascade", foreignKey: "userId" });
+PollVote.belongsTo(User);
+User.hasMany(ModerationAction, {
+  onDelete: "SET NULL",
+  foreignKey: "moderatorId",
+});
+ModerationAction.belongsTo(User, {
+  as: "moderator",
+  foreignKey: "moderatorId",
+});
+User.hasMany(EmailChange, { onDelete: "cascade", foreignKey: "userId" });
+EmailChange.belongsTo(User);
+User.hasMany(DataExport, { onDelete: "cascade", foreignKey: "userId" });
+DataExport.belongsTo(User);
+User.hasMany(Block, {
+  as: "blocks",
+  onDelete: "cascade",
+  foreignKey: "blockerId",
+});
+User.hasMany(Block, {
+  as: "blockedBy",
+  onDelete: "cascade",
+  foreignKey: "blockedId",
+});
+Block.belongsTo(User, { as: "blocked", foreignKey: "blockedId" });
+User.hasMany(Mute, { as: "mutes", onDelete: "cascade", foreignKey: "muterId" });
+User.hasMany(Mute, {
+  as: "mutedBy",
+  onDelete: "cascade",
+  foreignKey: "mutedId",
+});
+Mute.belongsTo(User, { as: "muted", foreignKey: "mutedId" });
 
 module.exports = User;
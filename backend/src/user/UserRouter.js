@@ -4,18 +4,52 @@ const { check, validationResult } = require("express-validator");
 const UserService = require("./UserService");
 const ValidationException = require("../error/ValidationException");
 const pagination = require("../middleware/pagination");
+const cursorPagination = require("../middleware/cursorPagination");
 const ForbidenException = require("../error/ForbidenException");
 const passwordResetTokenValidator = require("../middleware/passwordResetTokenValidator");
 const FileService = require("../file/FileService");
+const HoaxService = require("../hoax/HoaxService");
+const FollowService = require("../follow/FollowService");
+const { isSelf } = require("../shared/authorization");
+const { normalizeUsername } = require("../shared/normalization");
+
+// the size rule applies to the username as it is stored, NFKC may expand
+// ligatures or merge combining marks
+const toStoredUsername = (username) =>
+  typeof username === "string" ? normalizeUsername(username) : username;
+
+const controlCharacter = /\p{Cc}/u;
+const controlCharacterExceptNewline = /(?!\n)\p{Cc}/u;
+
+const profileTextValidation = (field, max, message, pattern) =>
+  check(field)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage(message)
+    .bail()
+    .isLength({ max })
+    .withMessage(message)
+    .bail()
+    .not()
+    .matches(pattern)
+    .withMessage("profile_control_characters");
 
 router.post(
   "/api/1.0/users",
   check("username")
+    .customSanitizer(toStoredUsername)
     .notEmpty()
     .withMessage("username_null")
     .bail()
     .isLength({ min: 4, max: 32 })
-    .withMessage("username_size"),
+    .withMessage("username_size")
+    .bail()
+    .custom(async (username) => {
+      const user = await UserService.findByUsername(username);
+      if (user) {
+        throw new Error("username_inuse");
+      }
+    }),
   check("email")
     .notEmpty()
     .withMessage("email_null")
@@ -24,8 +58,7 @@ router.post(
     .withMessage("email_invalid")
     .bail()
     .custom(async (email) => {
-      const user = await UserService.findByEmail(email);
-      if (user) {
+      if (await UserService.isEmailInUse(email)) {
         throw new Error("email_inuse");
       }
     }),
@@ -64,35 +97,112 @@ router.post("/api/1.0/users/token/:token", async (req, res, next) => {
   }
 });
 
-router.get("/api/1.0/users", pagination, async (req, res) => {
-  const authenticatedUser = req.authenticatedUser;
-  const { page, size } = req.pagination;
-  const users = await UserService.getUsers(page, size, authenticatedUser);
-  res.status(200).send(users);
-});
+router.get(
+  "/api/1.0/users",
+  pagination,
+  check("sort")
+    .optional()
+    .isIn(UserService.sortKeys)
+    .withMessage("user_sort_invalid"),
+  check("direction")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("sort_direction_invalid"),
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    const authenticatedUser = req.authenticatedUser;
+    const { page, size } = req.pagination;
+    const { username, sort, direction } = req.query;
+    const fields = req.query.fields ? String(req.query.fields).split(",") : [];
+    const users = await UserService.getUsers(page, size, authenticatedUser, {
+      fields,
+      username: username ? String(username) : undefined,
+      sort,
+      direction,
+    });
+    res.status(200).send(users);
+  },
+);
 
 router.get("/api/1.0/users/:id", async (req, res, next) => {
   try {
-    const user = await UserService.getUser(req.params.id);
+    const user = await UserService.getUser(
+      req.params.id,
+      req.authenticatedUser,
+    );
+    user.pinnedHoaxes = await HoaxService.getPinnedHoaxes(
+      user.id,
+      req.authenticatedUser,
+    );
+    user.relationship = await FollowService.getRelationship(
+      user.id,
+      req.authenticatedUser,
+    );
     res.status(200).send(user);
   } catch (error) {
     next(error);
   }
 });
 
+router.get("/api/1.0/users/:id/hoaxes", pagination, async (req, res, next) => {
+  const { page, size } = req.pagination;
+  try {
+    const user = await UserService.getUser(req.params.id);
+    const hoaxes = await HoaxService.getHoaxes(
+      page,
+      size,
+      user.id,
+      req.authenticatedUser,
+    );
+    res.status(200).send(hoaxes);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  "/api/1.0/users/:id/hoaxes/:cursor",
+  cursorPagination,
+  async (req, res, next) => {
+    try {
+      const user = await UserService.getUser(req.params.id);
+      const hoaxes = await HoaxService.getHoaxesByCursor(
+        req.cursor,
+        user.id,
+        req.authenticatedUser,
+      );
+      res.status(200).send(hoaxes);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
 router.put(
   "/api/1.0/users/:id",
   check("username")
+    .optional()
+    .customSanitizer(toStoredUsername)
     .notEmpty()
     .withMessage("username_null")
     .bail()
     .isLength({ min: 4, max: 32 })
-    .withMessage("username_size"),
+    .withMessage("username_size")
+    .bail()
+    .custom(async (username, { req }) => {
+      const user = await UserService.findByUsername(username);
+      if (user && !isSelf(user, req.params.id)) {
+        throw new Error("username_inuse");
+      }
+    }),
   check("image").custom(async (imageAsBase64String) => {
-    const buffer = Buffer.from(imageAsBase64String, "base64");
     if (!imageAsBase64String) {
       return true;
     }
+    const buffer = Buffer.from(imageAsBase64String, "base64");
     if (!FileService.isLessThan2MB(buffer)) {
       throw new Error("profile_image_size");
     }
@@ -104,10 +214,33 @@ router.put(
     }
     return true;
   }),
+  profileTextValidation(
+    "displayName",
+    50,
+    "display_name_size",
+    controlCharacter,
+  ),
+  profileTextValidation("bio", 160, "bio_size", controlCharacterExceptNewline),
+  profileTextValidation("location", 30, "location_size", controlCharacter),
+  check("website")
+    .optional({ values: "falsy" })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("website_invalid")
+    .bail()
+    .isLength({ max: 100 })
+    .withMessage("website_size"),
+  check("expandSensitive")
+    .optional()
+    .isBoolean()
+    .withMessage("expand_sensitive_invalid")
+    .toBoolean(),
+  check("private")
+    .optional()
+    .isBoolean()
+    .withMessage("private_invalid")
+    .toBoolean(),
   async (req, res, next) => {
-    const authenticatedUser = req.authenticatedUser;
-
-    if (!authenticatedUser || authenticatedUser.id !== req.params.id) {
+    if (!isSelf(req.authenticatedUser, req.params.id)) {
       return next(new ForbidenException("unauthroized_user_update"));
     }
 
@@ -121,12 +254,10 @@ router.put(
 );
 
 router.delete("/api/1.0/users/:id", async (req, res, next) => {
-  const authenticatedUser = req.authenticatedUser;
-
-  if (!authenticatedUser || authenticatedUser.id !== req.params.id) {
+  if (!isSelf(req.authenticatedUser, req.params.id)) {
     return next(new ForbidenException("unauthroized_user_delete"));
   }
-  await UserService.deleteUser(req.params.id);
+  await UserService.deactivateUser(req.params.id);
 
   return res.send();
 });
@@ -173,4 +304,57 @@ router.put(
   },
 );
 
+router.post(
+  "/api/1.0/users/:id/email",
+  check("email")
+    .notEmpty()
+    .withMessage("email_null")
+    .bail()
+    .isEmail()
+    .withMessage("email_invalid")
+    .bail()
+    .custom(async (email, { req }) => {
+      if (await UserService.isEmailInUse(email, req.params.id)) {
+        throw new Error("email_inuse");
+      }
+    }),
+  check("password").notEmpty().withMessage("password_null"),
+  async (req, res, next) => {
+    if (!isSelf(req.authenticatedUser, req.params.id)) {
+      return next(new ForbidenException("unauthroized_email_change"));
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationException(errors.array()));
+    }
+    try {
+      await UserService.requestEmailChange(req.params.id, req.body);
+      return res
+        .status(200)
+        .send({ message: req.t("email_change_request_success") });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+router.post("/api/1.0/user/email/:token", async (req, res, next) => {
+  try {
+    await UserService.confirmEmailChange(req.params.token);
+    return res.status(200).send({ message: req.t("email_change_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/1.0/user/email/revert/:token", async (req, res, next) => {
+  try {
+    await UserService.revertEmailChange(req.params.token);
+    return res.status(200).send({ message: req.t("email_revert_success") });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
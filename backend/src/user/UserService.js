@@ -1,4 +1,5 @@
 const User = require("./User");
+const EmailChange = require("./EmailChange");
 const bcrypt = require("bcrypt");
 const Sequelize = require("sequelize");
 const EmailService = require("../email/EmailService");
@@ -9,6 +10,16 @@ const { randomString } = require("../shared/generator");
 const NotFoundException = require("../error/NotFoundException");
 const TokenService = require("../auth/TokenService");
 const FileService = require("../file/FileService");
+const HoaxService = require("../hoax/HoaxService");
+const FollowService = require("../follow/FollowService");
+const { normalizeEmail, usernameKey } = require("../shared/normalization");
+const ValidationException = require("../error/ValidationException");
+const config = require("config");
+const { isSelf, unblockedUsersWhere } = require("../shared/authorization");
+
+const userAttributes = ["id", "username", "email", "image"];
+
+const profileFields = ["displayName", "bio", "location", "website"];
 
 const save = async (body) => {
   const { username, email, password } = body;
@@ -32,7 +43,29 @@ const save = async (body) => {
 };
 
 const findByEmail = async (email) => {
-  return User.findOne({ where: { email: email } });
+  return User.findOne({ where: { email: normalizeEmail(email) } });
+};
+
+// an address given up by an email change stays reserved for its owner until
+// the revert window closes, so nobody can take it before a revert
+const isEmailInUse = async (email, userId) => {
+  const owner = await findByEmail(email);
+  if (owner) {
+    return true;
+  }
+  const where = {
+    previousEmail: normalizeEmail(email),
+    revertExpiresAt: { [Sequelize.Op.gt]: Date.now() },
+  };
+  if (userId) {
+    where.userId = { [Sequelize.Op.ne]: Number(userId) };
+  }
+  const reservation = await EmailChange.findOne({ where });
+  return Boolean(reservation);
+};
+
+const findByUsername = async (username) => {
+  return User.findOne({ where: { usernameKey: usernameKey(username) } });
 };
 
 const activate = async (token) => {
@@ -45,13 +78,62 @@ const activate = async (token) => {
   await user.save();
 };
 
-const getUsers = async (page, size, authenticatedUser) => {
+// deactivated followers are left out, as in the counts of the profile
+const followerCount = Sequelize.literal(
+  `(SELECT COUNT(*) FROM follows
+    INNER JOIN users AS followers ON followers.id = follows.followerId
+    WHERE follows.followingId = user.id AND followers.inactive = 0)`,
+);
+
+// optional columns of the user list, left out unless the client asks for them
+const listFields = {
+  ...Object.fromEntries(profileFields.map((field) => [field, field])),
+  createdAt: "createdAt",
+  followerCount: [followerCount, "followerCount"],
+};
+
+// usernames are compared by their normalized key, so sorting and filtering
+// ignore case. The id breaks ties to keep pages stable
+const sortColumns = {
+  username: "usernameKey",
+  createdAt: "createdAt",
+  followerCount,
+};
+
+const sortKeys = Object.keys(sortColumns);
+
+const getUsers = async (page, size, authenticatedUser, query = {}) => {
+  const { fields = [], username, sort, direction } = query;
+  const requestedFields = Object.keys(listFields)
+    .filter((field) => fields.includes(field))
+    .map((field) => listFields[field]);
+  const conditions = [
+    {
+      id: {
+        [Sequelize.Op.not]: authenticatedUser ? authenticatedUser.id : 0,
+      },
+    },
+    unblockedUsersWhere(authenticatedUser),
+  ];
+  if (username) {
+    const prefix = usernameKey(username);
+    conditions.push(
+      Sequelize.where(
+        Sequelize.fn("substr", Sequelize.col("usernameKey"), 1, prefix.length),
+        prefix,
+      ),
+    );
+  }
+  const order = sortColumns[sort]
+    ? [[sortColumns[sort], direction === "desc" ? "DESC" : "ASC"]]
+    : [];
   const userWithCouunt = await User.findAndCountAll({
     where: {
       inactive: false,
-      id: { [Sequelize.Op.not]: authenticatedUser ? authenticatedUser.id : 0 },
+      [Sequelize.Op.and]: conditions,
     },
-    attributes: ["id", "username", "email", "image"],
+    attributes: [...userAttributes, ...requestedFields],
+    order: [...order, ["id", "ASC"]],
     limit: size,
     offset: page * size,
   });
@@ -63,40 +145,118 @@ const getUsers = async (page, size, authenticatedUser) => {
   };
 };
 
-const getUser = async (id) => {
+// settings of the account are only shown to its owner
+const getUser = async (id, authenticatedUser) => {
+  const attributes = [...userAttributes, ...profileFields, "private"];
+  if (isSelf(authenticatedUser, id)) {
+    attributes.push("expandSensitive");
+  }
   const user = await User.findOne({
     where: { id: id, inactive: false },
-    attributes: ["id", "username", "email", "image"],
+    attributes,
   });
   if (!user) {
     throw new NotFoundException("user_not_found");
   }
+  const followCounts = await FollowService.getFollowCounts(user.id);
 
-  return user;
+  return { ...user.get({ plain: true }), ...followCounts };
 };
 
 const updateUser = async (id, updateBody) => {
   const user = await User.findOne({ where: { id: id } });
-  user.username = updateBody.username;
+  if (updateBody.username !== undefined) {
+    user.username = updateBody.username;
+  }
+  // a field which is not sent keeps its value, an empty one clears it
+  profileFields.forEach((field) => {
+    if (updateBody[field] !== undefined) {
+      user[field] = updateBody[field] || null;
+    }
+  });
   if (updateBody.image) {
     if (user.image) {
       await FileService.deleteProfileimage(user.image);
     }
     user.image = await FileService.saveProfileImage(updateBody.image);
   }
+  if (updateBody.expandSensitive !== undefined) {
+    user.expandSensitive = updateBody.expandSensitive;
+  }
+  const goesPublic = user.private && updateBody.private === false;
+  if (updateBody.private !== undefined) {
+    user.private = updateBody.private;
+  }
   await user.save();
+  if (goesPublic) {
+    await FollowService.approveAllFollowRequests(user.id);
+  }
   return {
     id: id,
     username: user.username,
     email: user.email,
     image: user.image,
+    displayName: user.displayName,
+    bio: user.bio,
+    location: user.location,
+    website: user.website,
+    expandSensitive: user.expandSensitive,
+    private: user.private,
   };
 };
 
+// the account is hidden right away and purged once the grace period is over,
+// until then the owner can restore it
+const deactivateUser = async (id) => {
+  const user = await User.findOne({ where: { id: id } });
+  user.inactive = true;
+  user.deactivatedAt = Date.now();
+  await user.save();
+  await TokenService.clearTokens(user.id);
+};
+
+const isRestorable = (user) =>
+  Boolean(user.deactivatedAt) &&
+  user.deactivatedAt > Date.now() - config.accountDeletionGracePeriod;
+
+const restoreUser = async (user) => {
+  user.inactive = false;
+  user.deactivatedAt = null;
+  await user.save();
+};
+
 const deleteUser = async (id) => {
+  const user = await User.findOne({ where: { id: id } });
+  if (user) {
+    await FileService.deleteUserFiles(user);
+    await HoaxService.keepRepliedHoaxesOfUser(user.id);
+    await HoaxService.deleteHoaxesOfUser(user.id);
+  }
   await User.destroy({ where: { id: id } });
 };
 
+const purgeDeactivatedUsers = async () => {
+  const users = await User.findAll({
+    attributes: ["id"],
+    where: {
+      deactivatedAt: {
+        [Sequelize.Op.lte]: Date.now() - config.accountDeletionGracePeriod,
+      },
+    },
+  });
+  for (const user of users) {
+    try {
+      await deleteUser(user.id);
+    } catch (error) {
+      // the user is picked up again on the next run
+    }
+  }
+};
+
+const schedulePurge = () => {
+  setInterval(purgeDeactivatedUsers, 60 * 60 * 1000);
+};
+
 const passwordResetRequest = async (email) => {
   const user = await findByEmail(email);
 
@@ -115,11 +275,14 @@ const passwordResetRequest = async (email) => {
 
 const updatePassword = async (updateRequest) => {
   const user = await findByPasswordResetToken(updateRequest.passwordResetToken);
-  const hash = bcrypt.hash(updateRequest.password, 10);
+  const hash = await bcrypt.hash(updateRequest.password, 10);
   user.password = hash;
   user.passwordResetToken = null;
   user.inactive = false;
   user.activationToken = null;
+  // a reset proves ownership of the email, so it restores an account which
+  // is pending deletion just like signing in to restore it does
+  user.deactivatedAt = null;
   await user.save();
   await TokenService.clearTokens(user.id);
 };
@@ -130,15 +293,127 @@ const findByPasswordResetToken = (token) => {
   });
 };
 
+// the new address is applied only once the link sent to it is confirmed
+const requestEmailChange = async (id, body) => {
+  const user = await User.findOne({ where: { id: id } });
+  const match = await bcrypt.compare(body.password, user.password);
+  if (!match) {
+    throw new ValidationException([
+      { path: "password", msg: "current_password_incorrect" },
+    ]);
+  }
+  const emailChange = {
+    email: normalizeEmail(body.email),
+    confirmationToken: randomString(16),
+    confirmationExpiresAt: Date.now() + config.emailChangeTokenLifetime,
+    userId: user.id,
+  };
+  const transaction = await sequelize.transaction();
+  await EmailChange.destroy({
+    where: { userId: user.id, confirmationToken: { [Sequelize.Op.not]: null } },
+    transaction,
+  });
+  await EmailChange.create(emailChange, { transaction });
+  try {
+    await EmailService.sendEmailChangeConfirmation(
+      emailChange.email,
+      emailChange.confirmationToken,
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+};
+
+const findUnexpiredChange = (tokenField, expiryField, token) => {
+  return EmailChange.findOne({
+    where: {
+      [tokenField]: token,
+      [expiryField]: { [Sequelize.Op.gt]: Date.now() },
+    },
+  });
+};
+
+// another account may have taken the address while the change was pending
+const ensureEmailAvailable = async (email, userId) => {
+  if (await isEmailInUse(email, userId)) {
+    throw new ValidationException([{ path: "email", msg: "email_inuse" }]);
+  }
+};
+
+const confirmEmailChange = async (token) => {
+  const emailChange = await findUnexpiredChange(
+    "confirmationToken",
+    "confirmationExpiresAt",
+    token,
+  );
+  if (!emailChange) {
+    throw new InvalidTokenException("email_change_token_invalid");
+  }
+  await ensureEmailAvailable(emailChange.email, emailChange.userId);
+  const user = await User.findOne({ where: { id: emailChange.userId } });
+  emailChange.previousEmail = user.email;
+  emailChange.confirmationToken = null;
+  emailChange.revertToken = randomString(16);
+  emailChange.revertExpiresAt = Date.now() + config.emailRevertWindow;
+  user.email = emailChange.email;
+
+  const transaction = await sequelize.transaction();
+  await user.save({ transaction });
+  await emailChange.save({ transaction });
+  try {
+    await EmailService.sendEmailChangeNotice(
+      emailChange.previousEmail,
+      emailChange.email,
+      emailChange.revertToken,
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw new EmailException();
+  }
+};
+
+// reverting means someone else may have changed the address, so every
+// session of the account is closed as well
+const revertEmailChange = async (token) => {
+  const emailChange = await findUnexpiredChange(
+    "revertToken",
+    "revertExpiresAt",
+    token,
+  );
+  if (!emailChange) {
+    throw new InvalidTokenException("email_revert_token_invalid");
+  }
+  await ensureEmailAvailable(emailChange.previousEmail, emailChange.userId);
+  const user = await User.findOne({ where: { id: emailChange.userId } });
+  user.email = emailChange.previousEmail;
+  await user.save();
+  await EmailChange.destroy({ where: { userId: user.id } });
+  await TokenService.clearTokens(user.id);
+};
+
 module.exports = {
+  sortKeys,
   save,
   findByEmail,
+  isEmailInUse,
+  findByUsername,
   activate,
   getUsers,
   getUser,
   updateUser,
+  deactivateUser,
+  isRestorable,
+  restoreUser,
   deleteUser,
+  purgeDeactivatedUsers,
+  schedulePurge,
   passwordResetRequest,
   updatePassword,
   findByPasswordResetToken,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
 };
@@ -2,10 +2,18 @@ const fs = require("fs");
 const path = require("path");
 const config = require("config");
 
-const { uploadDir, profileDir } = config;
+const { uploadDir, profileDir, attachmentDir, exportDir } = config;
 const profileDirectory = path.join(".", uploadDir, profileDir);
+const attachmentDirectory = path.join(".", uploadDir, attachmentDir);
+const exportDirectory = path.join(".", uploadDir, exportDir);
 
-const files = fs.readdirSync(profileDirectory);
-for (const file of files) {
-  fs.unlinkSync(path.join(profileDirectory, file));
-}
+const clearFolder = (folder) => {
+  const files = fs.readdirSync(folder);
+  for (const file of files) {
+    fs.unlinkSync(path.join(folder, file));
+  }
+};
+
+clearFolder(profileDirectory);
+clearFolder(attachmentDirectory);
+clearFolder(exportDirectory);